@@ -0,0 +1,64 @@
+import { matchColorRule, matchesColorRule } from '../colorRules';
+
+const rule = (type, operator, value, extra) => ({ id: 1, field: 'F', fieldLabel: 'F', type, operator, value, color: '#ff0000', ...extra });
+const matches = (r, raw, zone) => matchesColorRule(r, raw, zone || 'UTC');
+
+describe('c-multi-object-calendar color rules', () => {
+    it('compares text ignoring case', () => {
+        expect(matches(rule('STRING', 'equals', 'Hot'), 'hot')).toBe(true);
+        expect(matches(rule('STRING', 'notEquals', 'Hot'), 'HOT')).toBe(false);
+        expect(matches(rule('STRING', 'contains', 'ACME'), 'The Acme Corp')).toBe(true);
+        expect(matches(rule('STRING', 'startsWith', 'the'), 'The Acme Corp')).toBe(true);
+        expect(matches(rule('STRING', 'startsWith', 'acme'), 'The Acme Corp')).toBe(false);
+    });
+
+    it('matches comma-separated and list values with in', () => {
+        expect(matches(rule('STRING', 'in', 'Hot, Warm'), 'warm')).toBe(true);
+        expect(matches(rule('PICKLIST', 'in', ['Hot', 'Warm']), 'Cold')).toBe(false);
+        expect(matches(rule('INTEGER', 'in', '1, 2, 3'), 2)).toBe(true);
+    });
+
+    it('matches multi-select picklists on any selected value', () => {
+        expect(matches(rule('MULTIPICKLIST', 'equals', 'B'), 'A;B;C')).toBe(true);
+        expect(matches(rule('MULTIPICKLIST', 'in', ['X', 'C']), 'A;B;C')).toBe(true);
+        expect(matches(rule('MULTIPICKLIST', 'notEquals', 'B'), 'A;B')).toBe(false);
+    });
+
+    it('compares numbers as numbers and booleans as booleans', () => {
+        expect(matches(rule('CURRENCY', 'greaterThan', '9'), 10)).toBe(true);
+        expect(matches(rule('DOUBLE', 'lessOrEqual', '10'), 10)).toBe(true);
+        expect(matches(rule('PERCENT', 'lessThan', '10'), 10)).toBe(false);
+        expect(matches(rule('BOOLEAN', 'equals', true), true)).toBe(true);
+        expect(matches(rule('BOOLEAN', 'equals', 'true'), false)).toBe(false);
+        expect(matches(rule('BOOLEAN', 'notEquals', true), false)).toBe(true);
+    });
+
+    it('handles blank values', () => {
+        expect(matches(rule('STRING', 'isBlank', ''), null)).toBe(true);
+        expect(matches(rule('STRING', 'isBlank', ''), 'x')).toBe(false);
+        expect(matches(rule('STRING', 'isNotBlank', ''), 'x')).toBe(true);
+        expect(matches(rule('STRING', 'notEquals', 'x'), undefined)).toBe(false);
+    });
+
+    it('compares dates by day and date-times on the display timezone day', () => {
+        expect(matches(rule('DATE', 'greaterOrEqual', '2026-03-10'), '2026-03-10')).toBe(true);
+        expect(matches(rule('DATE', 'lessThan', '2026-03-10'), '2026-03-10')).toBe(false);
+        // 03:00 UTC on March 10 is still March 9 in Los Angeles
+        expect(matches(rule('DATETIME', 'equals', '2026-03-10'), '2026-03-10T03:00:00.000Z', 'UTC')).toBe(true);
+        expect(matches(rule('DATETIME', 'equals', '2026-03-09'), '2026-03-10T03:00:00.000Z', 'America/Los_Angeles')).toBe(true);
+    });
+
+    it('returns the first complete rule the record matches', () => {
+        const rules = [
+            rule('STRING', 'equals', '', { id: 1, field: 'Stage' }),
+            rule('STRING', 'equals', 'Won', { id: 2, field: 'Stage' }),
+            rule('CURRENCY', 'greaterThan', '1000', { id: 3, field: 'Amount' }),
+            rule('STRING', 'isNotBlank', '', { id: 4, field: 'Stage' })
+        ];
+        expect(matchColorRule(rules, { Stage: 'Won', Amount: 5000 }, 'UTC').id).toBe(2);
+        expect(matchColorRule(rules, { Stage: 'Lost', Amount: 5000 }, 'UTC').id).toBe(3);
+        expect(matchColorRule(rules, { Stage: 'Lost', Amount: 10 }, 'UTC').id).toBe(4);
+        expect(matchColorRule(rules, { Amount: 10 }, 'UTC')).toBeUndefined();
+        expect(matchColorRule(undefined, { Stage: 'Won' }, 'UTC')).toBeUndefined();
+    });
+});
@@ -0,0 +1,53 @@
+import { isFilterComplete, validateFilterLogic } from '../filterLogic';
+import { LABELS, formatLabel } from '../labels';
+
+const complete = (field) => ({ field, operator: 'equals', value: 'x' });
+
+describe('c-multi-object-calendar filter logic', () => {
+    it('treats filters without a field or value as incomplete', () => {
+        expect(isFilterComplete({ field: '', operator: 'equals', value: 'x' })).toBe(false);
+        expect(isFilterComplete({ field: 'Name', operator: 'equals', value: '' })).toBe(false);
+        expect(isFilterComplete({ field: 'Name', operator: 'in', value: [] })).toBe(false);
+        expect(isFilterComplete({ field: 'Name', operator: 'isBlank', value: '' })).toBe(true);
+        expect(isFilterComplete({ field: 'IsClosed', operator: 'equals', value: false })).toBe(true);
+    });
+
+    it('accepts empty logic and valid expressions', () => {
+        const filters = [complete('A'), complete('B'), complete('C')];
+        expect(validateFilterLogic('', filters)).toBeNull();
+        expect(validateFilterLogic('   ', filters)).toBeNull();
+        expect(validateFilterLogic('1 AND 2 AND 3', filters)).toBeNull();
+        expect(validateFilterLogic('(1 and 2) or not 3', filters)).toBeNull();
+        expect(validateFilterLogic('NOT (1 OR 2) AND 3', filters)).toBeNull();
+    });
+
+    it('ignores logic when there are no filters', () => {
+        expect(validateFilterLogic('1 AND', [])).toBeNull();
+    });
+
+    it('rejects mixing AND and OR without parentheses', () => {
+        expect(validateFilterLogic('1 AND 2 OR 3', [complete('A'), complete('B'), complete('C')]))
+            .toBe(LABELS.logicMixedOperators);
+    });
+
+    it('reports unfinished logic', () => {
+        const filters = [complete('A'), complete('B')];
+        expect(validateFilterLogic('(1 AND', filters)).toBe(LABELS.logicEndsUnexpectedly);
+        expect(validateFilterLogic('(1 AND 2', filters)).toBe(LABELS.logicMissingParenthesis);
+        expect(validateFilterLogic('1 AND 2)', filters)).toBe(formatLabel(LABELS.logicUnexpectedToken, ')'));
+    });
+
+    it('rejects unknown words and characters', () => {
+        const filters = [complete('A'), complete('B')];
+        expect(validateFilterLogic('1 XOR 2', filters)).toBe(formatLabel(LABELS.logicUnknownWord, 'XOR'));
+        expect(validateFilterLogic('1 & 2', filters)).toBe(formatLabel(LABELS.logicInvalidCharacter, '&'));
+    });
+
+    it('requires every complete filter to be referenced and only complete ones', () => {
+        expect(validateFilterLogic('1', [complete('A'), complete('B')])).toBe(formatLabel(LABELS.logicUnreferencedFilter, 2));
+        expect(validateFilterLogic('1 AND 3', [complete('A'), complete('B')])).toBe(formatLabel(LABELS.logicUnknownFilter, 3));
+        expect(validateFilterLogic('1 AND 2', [complete('A'), { field: 'B', operator: 'equals', value: '' }]))
+            .toBe(formatLabel(LABELS.logicUnknownFilter, 2));
+        expect(validateFilterLogic('1', [complete('A'), { field: '', operator: 'equals', value: '' }])).toBeNull();
+    });
+});
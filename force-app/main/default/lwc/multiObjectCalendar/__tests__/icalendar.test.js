@@ -0,0 +1,160 @@
+import { buildCalendar, escapeText, expandSeries, foldLine, formatDate, formatUtcDateTime, parseCalendar, unescapeText } from '../icalendar';
+import { LABELS, formatLabel } from '../labels';
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+const HORIZON = new Date(Date.UTC(2027, 0, 1));
+
+describe('c-multi-object-calendar icalendar export', () => {
+    it('escapes TEXT values', () => {
+        expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+        expect(escapeText(null)).toBe('');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const ascii = 'S'.repeat(160);
+        const folded = foldLine(ascii);
+        const lines = folded.split('\r\n');
+        expect(lines[0]).toHaveLength(75);
+        expect(lines.slice(1).every(l => l.startsWith(' '))).toBe(true);
+        expect(unfold(folded)).toBe(ascii);
+
+        const accented = 'é'.repeat(50);
+        const first = foldLine(accented).split('\r\n')[0];
+        expect(Buffer.byteLength(first, 'utf8')).toBeLessThanOrEqual(75);
+        expect(unfold(foldLine(accented))).toBe(accented);
+    });
+
+    it('formats UTC date-times and local dates', () => {
+        expect(formatUtcDateTime(new Date(Date.UTC(2026, 2, 5, 9, 7, 3)))).toBe('20260305T090703Z');
+        expect(formatDate(new Date(2026, 11, 31))).toBe('20261231');
+    });
+
+    it('builds a calendar with timed and all-day events', () => {
+        const text = buildCalendar([
+            { uid: 'a@x', title: 'Call, team', start: new Date(Date.UTC(2026, 0, 2, 15)), end: new Date(Date.UTC(2026, 0, 2, 16)), url: 'https://x/a', category: 'Events' },
+            { uid: 'b@x', title: 'Offsite', start: new Date(2026, 0, 5), end: new Date(2026, 0, 6), isAllDay: true }
+        ], '-//Test//EN');
+
+        expect(text.endsWith('\r\n')).toBe(true);
+        const lines = unfold(text).split('\r\n');
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines).toContain('PRODID:-//Test//EN');
+        expect(lines).toContain('DTSTART:20260102T150000Z');
+        expect(lines).toContain('DTEND:20260102T160000Z');
+        expect(lines).toContain('SUMMARY:Call\\, team');
+        expect(lines).toContain('CATEGORIES:Events');
+        expect(lines).toContain('URL:https://x/a');
+        // All-day DTEND is exclusive
+        expect(lines).toContain('DTSTART;VALUE=DATE:20260105');
+        expect(lines).toContain('DTEND;VALUE=DATE:20260107');
+        expect(lines.filter(l => l === 'BEGIN:VEVENT')).toHaveLength(2);
+    });
+});
+
+describe('c-multi-object-calendar icalendar import', () => {
+    it('rejects text that is not a calendar', () => {
+        expect(() => parseCalendar('hello', HORIZON)).toThrow(LABELS.icsNotCalendar);
+    });
+
+    it('unescapes TEXT values', () => {
+        expect(unescapeText('a\\\\b\\; c\\, d\\ne')).toBe('a\\b; c, d\ne');
+    });
+
+    it('reads UTC, zoned, folded and all-day events', () => {
+        const { events } = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'UID:utc', 'DTSTART:20260310T140000Z', 'DTEND:20260310T150000Z', 'SUMMARY:Stand\\, up', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:zoned', 'DTSTART;TZID=Europe/Berlin:20260701T090000', 'DURATION:PT30M', 'SUMMARY:Long', '  title', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:windows', 'DTSTART;TZID="Pacific Standard Time":20260115T080000', 'DTEND;TZID="Pacific Standard Time":20260115T090000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:allday', 'DTSTART;VALUE=DATE:20260401', 'DTEND;VALUE=DATE:20260403', 'SUMMARY:Trip', 'END:VEVENT'
+        ), HORIZON);
+        const byUid = Object.fromEntries(events.map(e => [e.uid, e]));
+
+        expect(byUid.utc.title).toBe('Stand, up');
+        expect(byUid.utc.start.toISOString()).toBe('2026-03-10T14:00:00.000Z');
+        expect(byUid.zoned.start.toISOString()).toBe('2026-07-01T07:00:00.000Z');
+        expect(byUid.zoned.end.toISOString()).toBe('2026-07-01T07:30:00.000Z');
+        expect(byUid.zoned.title).toBe('Long title');
+        expect(byUid.windows.start.toISOString()).toBe('2026-01-15T16:00:00.000Z');
+        expect(byUid.windows.title).toBe(LABELS.noTitle);
+        expect(byUid.allday.isAllDay).toBe(true);
+        expect(byUid.allday.start).toEqual(new Date(2026, 3, 1));
+        expect(byUid.allday.end).toEqual(new Date(2026, 3, 3));
+        expect(events.map(e => e.uid)).toEqual(['windows', 'utc', 'allday', 'zoned']);
+    });
+
+    it('skips nested components, cancelled events and events without a start', () => {
+        const { events, warnings } = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'UID:a', 'DTSTART:20260310T140000Z', 'SUMMARY:Meeting',
+            'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Reminder', 'SUMMARY:Alarm', 'END:VALARM', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:b', 'DTSTART:20260311T140000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:c', 'SUMMARY:No start', 'END:VEVENT'
+        ), HORIZON);
+        expect(events.map(e => e.title)).toEqual(['Meeting']);
+        expect(warnings).toEqual([LABELS.icsMissingStart]);
+    });
+
+    it('warns about unknown time zones and reads them as floating times', () => {
+        const { events, warnings } = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Mars/Olympus:20260310T140000', 'END:VEVENT'
+        ), HORIZON);
+        expect(events[0].start).toEqual(new Date(2026, 2, 10, 14));
+        expect(warnings).toEqual([formatLabel(LABELS.icsUnknownTimeZone, 'Mars/Olympus')]);
+    });
+
+    it('expands series with EXDATE and RECURRENCE-ID overrides', () => {
+        const { events } = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'UID:s', 'DTSTART;TZID=America/New_York:20260302T090000', 'DTEND;TZID=America/New_York:20260302T100000',
+            'RRULE:FREQ=WEEKLY;COUNT=4', 'EXDATE;TZID=America/New_York:20260309T090000', 'SUMMARY:Weekly', 'END:VEVENT',
+            'BEGIN:VEVENT', 'UID:s', 'RECURRENCE-ID;TZID=America/New_York:20260316T090000',
+            'DTSTART;TZID=America/New_York:20260316T130000', 'DTEND;TZID=America/New_York:20260316T140000', 'SUMMARY:Moved', 'END:VEVENT'
+        ), HORIZON);
+
+        expect(events.map(e => [e.title, e.start.toISOString()])).toEqual([
+            ['Weekly', '2026-03-02T14:00:00.000Z'],
+            ['Moved', '2026-03-16T17:00:00.000Z'],
+            // 9:00 New York is kept across the DST change on March 8
+            ['Weekly', '2026-03-23T13:00:00.000Z']
+        ]);
+        expect(events.every(e => e.isRecurring)).toBe(true);
+    });
+
+    it('stops open-ended series at the horizon with a warning', () => {
+        const { events, warnings } = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'UID:d', 'DTSTART:20261225T100000Z', 'RRULE:FREQ=DAILY', 'END:VEVENT'
+        ), HORIZON);
+        expect(events).toHaveLength(7);
+        expect(warnings).toHaveLength(1);
+    });
+});
+
+describe('c-multi-object-calendar RRULE expansion', () => {
+    const days = (starts) => starts.map(d => `${d.getMonth() + 1}/${d.getDate()}`);
+
+    it('expands daily and weekly rules with intervals, counts and BYDAY', () => {
+        expect(days(expandSeries(new Date(2026, 0, 30, 9), 'FREQ=DAILY;INTERVAL=2;COUNT=3', HORIZON))).toEqual(['1/30', '2/1', '2/3']);
+        expect(days(expandSeries(new Date(2026, 2, 2, 9), 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', HORIZON))).toEqual(['3/2', '3/4', '3/9', '3/11']);
+        expect(days(expandSeries(new Date(2026, 2, 2, 9), 'FREQ=WEEKLY;INTERVAL=2;COUNT=3', HORIZON))).toEqual(['3/2', '3/16', '3/30']);
+    });
+
+    it('keeps the time of day of every occurrence', () => {
+        const starts = expandSeries(new Date(2026, 2, 6, 9, 30), 'FREQ=DAILY;COUNT=5', HORIZON);
+        expect(starts.every(d => d.getHours() === 9 && d.getMinutes() === 30)).toBe(true);
+    });
+
+    it('expands monthly and yearly rules', () => {
+        expect(days(expandSeries(new Date(2026, 0, 31), 'FREQ=MONTHLY;COUNT=3', HORIZON))).toEqual(['1/31', '3/31', '5/31']);
+        expect(days(expandSeries(new Date(2026, 0, 1), 'FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2', HORIZON))).toEqual(['1/31', '2/28']);
+        expect(days(expandSeries(new Date(2026, 0, 1), 'FREQ=MONTHLY;BYDAY=2TU;COUNT=2', HORIZON))).toEqual(['1/13', '2/10']);
+        expect(days(expandSeries(new Date(2026, 0, 1), 'FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', HORIZON))).toEqual(['11/26']);
+    });
+
+    it('stops at UNTIL, inclusive for dates, and at the horizon', () => {
+        expect(days(expandSeries(new Date(2026, 2, 1), 'FREQ=DAILY;UNTIL=20260303', HORIZON))).toEqual(['3/1', '3/2', '3/3']);
+        expect(days(expandSeries(new Date(2026, 11, 29), 'FREQ=DAILY', new Date(2026, 11, 31, 12)))).toEqual(['12/29', '12/30', '12/31']);
+    });
+
+    it('returns only the start for unsupported frequencies', () => {
+        expect(expandSeries(new Date(2026, 2, 1, 8), 'FREQ=HOURLY;COUNT=3', HORIZON)).toEqual([new Date(2026, 2, 1, 8)]);
+    });
+});
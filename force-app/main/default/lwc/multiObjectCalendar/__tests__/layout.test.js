@@ -0,0 +1,105 @@
+import { packDayBars, packTimedColumns, timedItems } from '../layout';
+
+const event = (id, start, end) => ({ Id: id, Start: start, End: end });
+// A Sunday-first week of March 2026
+const week = Array.from({ length: 7 }, (v, c) => new Date(2026, 2, 1 + c));
+const placement = (layout) => Object.fromEntries(layout.bars.map(b => [b.e.Id, [b.lane, b.first, b.last]]));
+
+describe('c-multi-object-calendar day bars', () => {
+    it('spans a bar over every day of the event', () => {
+        const { bars, perDay, laneCount } = packDayBars([event('a', new Date(2026, 2, 2, 9), new Date(2026, 2, 4, 17))], week, 3);
+        expect(placement({ bars })).toEqual({ a: [0, 1, 3] });
+        expect(bars[0].continuesBefore).toBe(false);
+        expect(bars[0].continuesAfter).toBe(false);
+        expect(perDay.map(d => d.events.length)).toEqual([0, 1, 1, 1, 0, 0, 0]);
+        expect(laneCount).toBe(1);
+    });
+
+    it('puts the earliest, then longest, bars in the top lanes and reuses free lanes', () => {
+        const layout = packDayBars([
+            event('short', new Date(2026, 2, 2), new Date(2026, 2, 2)),
+            event('long', new Date(2026, 2, 2), new Date(2026, 2, 5)),
+            event('later', new Date(2026, 2, 4), new Date(2026, 2, 6)),
+            event('after', new Date(2026, 2, 6), new Date(2026, 2, 7))
+        ], week, 5);
+        expect(placement(layout)).toEqual({ long: [0, 1, 4], short: [1, 1, 1], later: [1, 3, 5], after: [0, 5, 6] });
+        expect(layout.laneCount).toBe(2);
+    });
+
+    it('counts bars past the lane limit as hidden on each of their days', () => {
+        const layout = packDayBars([
+            event('a', new Date(2026, 2, 3), new Date(2026, 2, 4)),
+            event('b', new Date(2026, 2, 3), new Date(2026, 2, 4)),
+            event('c', new Date(2026, 2, 3), new Date(2026, 2, 3))
+        ], week, 2);
+        expect(layout.bars.map(b => b.e.Id)).toEqual(['a', 'b']);
+        expect(layout.perDay.map(d => d.hidden)).toEqual([0, 0, 1, 0, 0, 0, 0]);
+        expect(layout.perDay[2].events.map(e => e.Id)).toEqual(['a', 'b', 'c']);
+        expect(layout.laneCount).toBe(2);
+    });
+
+    it('clips bars to the drawn columns and marks them as continuing', () => {
+        const layout = packDayBars([
+            event('across', new Date(2026, 1, 27), new Date(2026, 2, 10)),
+            event('outside', new Date(2026, 1, 20), new Date(2026, 1, 22))
+        ], week, 3, 1, 5);
+        expect(placement(layout)).toEqual({ across: [0, 1, 5] });
+        expect(layout.bars[0].continuesBefore).toBe(true);
+        expect(layout.bars[0].continuesAfter).toBe(true);
+        expect(layout.perDay[0].events).toHaveLength(0);
+    });
+
+    it('skips days that are not shown as columns', () => {
+        // Monday to Friday; the bar starts on a hidden Sunday and ends on a hidden Saturday
+        const weekdays = week.slice(1, 6);
+        const layout = packDayBars([
+            event('week', new Date(2026, 2, 1), new Date(2026, 2, 7)),
+            event('weekend', new Date(2026, 2, 7), new Date(2026, 2, 8))
+        ], weekdays, 3);
+        expect(placement(layout)).toEqual({ week: [0, 0, 4] });
+        expect(layout.bars[0].continuesBefore).toBe(true);
+        expect(layout.bars[0].continuesAfter).toBe(true);
+    });
+});
+
+describe('c-multi-object-calendar timed blocks', () => {
+    const day = new Date(2026, 2, 10);
+    const at = (h, m = 0, d = 10) => new Date(2026, 2, d, h, m);
+    const columns = (events) => Object.fromEntries(packTimedColumns(timedItems(day, events)).map(i => [i.e.Id, [i.col, i.columnCount]]));
+
+    it('clips events to the day in wall-clock minutes', () => {
+        const items = timedItems(day, [
+            event('overnight', at(22, 0, 9), at(1, 30)),
+            event('late', at(23), at(2, 0, 11)),
+            event('other', at(9, 0, 11), at(10, 0, 11))
+        ]);
+        expect(items.map(i => [i.e.Id, i.fromMinute, i.toMinute])).toEqual([['overnight', 0, 90], ['late', 1380, 1440]]);
+    });
+
+    it('gives short and zero-length events the minimum height', () => {
+        const [item] = timedItems(day, [event('reminder', at(9), at(9))]);
+        expect([item.fromMinute, item.toMinute]).toEqual([540, 560]);
+    });
+
+    it('keeps events that do not overlap at full width', () => {
+        expect(columns([event('a', at(9), at(10)), event('b', at(10), at(11))])).toEqual({ a: [0, 1], b: [0, 1] });
+    });
+
+    it('splits overlapping events into side-by-side columns', () => {
+        expect(columns([
+            event('a', at(9), at(11)),
+            event('b', at(9, 30), at(10)),
+            event('c', at(10), at(10, 30)),
+            event('d', at(10, 15), at(12))
+        ])).toEqual({ a: [0, 3], b: [1, 3], c: [1, 3], d: [2, 3] });
+    });
+
+    it('shares one column count across a chain of overlaps and starts over after it', () => {
+        expect(columns([
+            event('a', at(9), at(10)),
+            event('b', at(9, 30), at(10, 30)),
+            event('c', at(10, 15), at(11)),
+            event('d', at(13), at(14))
+        ])).toEqual({ a: [0, 2], b: [1, 2], c: [0, 2], d: [0, 1] });
+    });
+});
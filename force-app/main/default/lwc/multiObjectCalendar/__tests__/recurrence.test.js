@@ -0,0 +1,53 @@
+import { expandRecurrences, getHolidayRule, getSeriesRule } from '../recurrence';
+
+const range = { start: new Date(2026, 2, 1), end: new Date(2026, 3, 1) };
+const event = (fields) => ({ Title: 'Standup', End: new Date(fields.Start.getTime() + 30 * 60000), SeriesId: null, SeriesRule: null, ...fields });
+
+describe('c-multi-object-calendar recurrence', () => {
+    it('reads the RRULE of Recurrence2 masters only', () => {
+        expect(getSeriesRule({ IsRecurrence2: true, Recurrence2PatternText: 'RRULE:FREQ=WEEKLY;BYDAY=MO' })).toBe('FREQ=WEEKLY;BYDAY=MO');
+        expect(getSeriesRule({ IsRecurrence2: true, Recurrence2PatternText: 'DTSTART:20260302T090000Z\nRRULE:FREQ=DAILY;COUNT=3' })).toBe('FREQ=DAILY;COUNT=3');
+        expect(getSeriesRule({ IsRecurrence2: false, RecurrenceActivityId: '00U1' })).toBeNull();
+        // Legacy masters are never expanded; their occurrences are rows of their own
+        expect(getSeriesRule({ IsRecurrence: true, RecurrenceType: 'RecursDaily', RecurrenceInterval: 1 })).toBeNull();
+    });
+
+    it('replaces a Recurrence2 master with its occurrences, keeping exceptions and dropping exclusions', () => {
+        const master = event({ Id: 'M', SeriesId: 'M', SeriesRule: 'FREQ=WEEKLY;COUNT=4', Start: new Date(2026, 2, 2, 9) });
+        const moved = event({ Id: 'X1', SeriesId: 'M', Title: 'Moved', Start: new Date(2026, 2, 9, 14) });
+        const excluded = event({ Id: 'X2', SeriesId: 'M', IsExclusion: true, Start: new Date(2026, 2, 16, 9) });
+        const other = event({ Id: 'O', Start: new Date(2026, 2, 4, 10) });
+
+        const result = expandRecurrences([master, moved, excluded, other], range);
+        const byDay = result.map(e => [e.Id, e.Start.getDate(), e.Start.getHours()]);
+        expect(byDay).toEqual(expect.arrayContaining([['O', 4, 10], ['X1', 9, 14], [`M_${new Date(2026, 2, 2, 9).getTime()}`, 2, 9]]));
+        // The exclusion record is dropped, but its day stays taken so no occurrence is generated there
+        expect(result.some(e => e.Id === 'X2')).toBe(false);
+        expect(result.filter(e => e.IsVirtual).map(e => e.Start.getDate()).sort((a, b) => a - b)).toEqual([2, 23]);
+        expect(result.every(e => !e.SeriesRule)).toBe(true);
+        expect(result.find(e => e.IsVirtual).End - result.find(e => e.IsVirtual).Start).toBe(30 * 60000);
+    });
+
+    it('leaves occurrences outside the range out', () => {
+        const master = event({ Id: 'M', SeriesId: 'M', SeriesRule: 'FREQ=MONTHLY', Start: new Date(2025, 11, 15, 9) });
+        const result = expandRecurrences([master], range);
+        expect(result.map(e => e.Start)).toEqual([new Date(2026, 2, 15, 9)]);
+    });
+
+    it('passes legacy occurrence rows through as they are', () => {
+        const first = event({ Id: 'C1', SeriesId: 'L', Start: new Date(2026, 2, 3, 9) });
+        const moved = event({ Id: 'C2', SeriesId: 'L', Start: new Date(2026, 2, 11, 16) });
+        expect(expandRecurrences([first, moved], range)).toEqual([first, moved]);
+    });
+
+    it('translates legacy holiday recurrence into an RRULE', () => {
+        expect(getHolidayRule({ IsRecurrence: false })).toBeNull();
+        expect(getHolidayRule({ IsRecurrence: true, RecurrenceType: 'RecursYearly', RecurrenceDayOfMonth: 25, RecurrenceMonthOfYear: 'December' }))
+            .toBe('FREQ=YEARLY;INTERVAL=1;BYMONTHDAY=25;BYMONTH=12');
+        expect(getHolidayRule({
+            IsRecurrence: true, RecurrenceType: 'RecursYearlyNth', RecurrenceInstance: 'Fourth', RecurrenceDayOfWeekMask: 16,
+            RecurrenceMonthOfYear: 'November', RecurrenceEndDateOnly: '2030-12-31'
+        })).toBe('FREQ=YEARLY;INTERVAL=1;BYDAY=4TH;BYMONTH=11;UNTIL=20301231');
+        expect(getHolidayRule({ IsRecurrence: true, RecurrenceType: 'RecursEveryWeekday' })).toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TU,WE,TH,FR');
+    });
+});
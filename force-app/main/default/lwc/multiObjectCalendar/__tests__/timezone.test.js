@@ -0,0 +1,45 @@
+import { fromWallClock, listTimeZones, toWallClock, wallTimeToInstant, zoneOffset } from '../timezone';
+
+const HOUR = 3600000;
+const utc = (...parts) => new Date(Date.UTC(...parts));
+
+describe('c-multi-object-calendar timezone', () => {
+    it('reads zone offsets on either side of DST changes', () => {
+        expect(zoneOffset(utc(2026, 0, 15, 12).getTime(), 'America/New_York')).toBe(-5 * HOUR);
+        expect(zoneOffset(utc(2026, 6, 15, 12).getTime(), 'America/New_York')).toBe(-4 * HOUR);
+        expect(zoneOffset(utc(2026, 6, 15, 12).getTime(), 'Asia/Kolkata')).toBe(5.5 * HOUR);
+        expect(zoneOffset(utc(2026, 6, 15, 12).getTime(), 'UTC')).toBe(0);
+    });
+
+    it('shows instants on the display zone clock', () => {
+        const wall = toWallClock(utc(2026, 2, 10, 14, 30), 'Australia/Sydney');
+        expect([wall.getDate(), wall.getHours(), wall.getMinutes()]).toEqual([11, 1, 30]);
+        const ny = toWallClock(utc(2026, 0, 1, 3), 'America/New_York');
+        expect([ny.getFullYear(), ny.getMonth(), ny.getDate(), ny.getHours()]).toEqual([2025, 11, 31, 22]);
+    });
+
+    it('round-trips wall-clock times back to the same instant', () => {
+        ['America/Los_Angeles', 'Europe/Berlin', 'Asia/Kolkata', 'Pacific/Chatham'].forEach(zone => {
+            const instant = utc(2026, 4, 20, 17, 45);
+            expect(fromWallClock(toWallClock(instant, zone), zone)).toEqual(instant);
+        });
+    });
+
+    it('moves times skipped by a DST change forward by the gap', () => {
+        // 02:30 does not exist on these days; it becomes 03:30 in the new offset
+        expect(fromWallClock(new Date(2026, 2, 8, 2, 30), 'America/New_York')).toEqual(utc(2026, 2, 8, 7, 30));
+        expect(fromWallClock(new Date(2026, 2, 29, 2, 30), 'Europe/Berlin')).toEqual(utc(2026, 2, 29, 1, 30));
+    });
+
+    it('resolves times that occur twice to the first of the two', () => {
+        expect(wallTimeToInstant(Date.UTC(2026, 10, 1, 1, 30), 'America/New_York')).toBe(Date.UTC(2026, 10, 1, 5, 30));
+        expect(wallTimeToInstant(Date.UTC(2026, 9, 25, 2, 30), 'Europe/Berlin')).toBe(Date.UTC(2026, 9, 25, 0, 30));
+    });
+
+    it('lists the fallbacks first without duplicates or blanks', () => {
+        const zones = listTimeZones(['Europe/Paris', '', 'Europe/Paris']);
+        expect(zones[0]).toBe('Europe/Paris');
+        expect(zones.filter(z => z === 'Europe/Paris')).toHaveLength(1);
+        expect(zones).not.toContain('');
+    });
+});
@@ -0,0 +1,47 @@
+// Color rules: the first rule a record matches sets its color and icon on the calendar
+import { isFilterComplete } from './filterLogic';
+import { toWallClock } from './timezone';
+
+const NUMBER_TYPES = ['DOUBLE', 'INTEGER', 'LONG', 'CURRENCY', 'PERCENT'];
+
+// First rule the record matches, in the order they are listed; incomplete rules never match
+export function matchColorRule(rules, record, timeZone) {
+    return (rules || []).find(rule => isFilterComplete(rule) && matchesColorRule(rule, record[rule.field], timeZone));
+}
+
+// Mirrors the SOQL filter semantics: text compares ignore case, multi-select picklists match on any selected value
+export function matchesColorRule(rule, raw, timeZone) {
+    const blank = raw === undefined || raw === null || raw === '';
+    if (rule.operator === 'isBlank') return blank;
+    if (rule.operator === 'isNotBlank') return !blank;
+    if (blank) return false;
+    const values = (rule.type === 'MULTIPICKLIST' ? String(raw).split(';') : [raw]).map(v => toRuleComparable(v, rule.type, timeZone));
+    const targets = (rule.operator === 'in' ? (Array.isArray(rule.value) ? rule.value : String(rule.value).split(',')) : [rule.value])
+        .map(v => toRuleComparable(typeof v === 'string' ? v.trim() : v, rule.type, timeZone));
+    const target = targets[0];
+    switch (rule.operator) {
+        case 'equals': return values.some(v => v === target);
+        case 'notEquals': return !values.some(v => v === target);
+        case 'lessThan': return values.some(v => v < target);
+        case 'greaterThan': return values.some(v => v > target);
+        case 'lessOrEqual': return values.some(v => v <= target);
+        case 'greaterOrEqual': return values.some(v => v >= target);
+        case 'contains': return values.some(v => String(v).includes(target));
+        case 'startsWith': return values.some(v => String(v).startsWith(target));
+        case 'in': return values.some(v => targets.includes(v));
+        default: return false;
+    }
+}
+
+// Dates compare as YYYY-MM-DD in the display timezone, numbers as numbers, everything else as lower-case text
+function toRuleComparable(value, type, timeZone) {
+    if (type === 'BOOLEAN') return value === true || value === 'true';
+    if (NUMBER_TYPES.includes(type)) return Number(value);
+    if (type === 'DATE') return String(value).slice(0, 10);
+    if (type === 'DATETIME') {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const d = toWallClock(new Date(value), timeZone);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+    return String(value).toLowerCase();
+}
@@ -0,0 +1,74 @@
+// Custom filter logic such as "1 AND (2 OR NOT 3)", checked in the browser before a source is saved.
+// Same grammar and checks as FilterLogicParser.cls: numbers, AND/OR/NOT and parentheses,
+// no unparenthesized AND/OR mixing, and every complete filter referenced.
+import { LABELS, formatLabel } from './labels';
+
+export const BLANK_OPERATORS = ['isBlank', 'isNotBlank'];
+
+export function isFilterComplete(f) {
+    if (!f.field) return false;
+    if (BLANK_OPERATORS.includes(f.operator)) return true;
+    if (Array.isArray(f.value)) return f.value.length > 0;
+    return f.value !== '' && f.value !== null && f.value !== undefined;
+}
+
+function fail(message) {
+    throw new Error(message);
+}
+
+// Recursive descent over the upper-cased tokens; state is { tokens, pos, filters, referenced }
+function parseUnary(state) {
+    if (state.pos >= state.tokens.length) fail(LABELS.logicEndsUnexpectedly);
+    const token = state.tokens[state.pos++];
+    if (token === 'NOT') { parseUnary(state); return; }
+    if (token === '(') {
+        parseExpression(state);
+        if (state.tokens[state.pos] !== ')') fail(LABELS.logicMissingParenthesis);
+        state.pos++;
+        return;
+    }
+    if (/^\d+$/.test(token)) {
+        const index = parseInt(token, 10);
+        if (index < 1 || index > state.filters.length || !isFilterComplete(state.filters[index - 1])) {
+            fail(formatLabel(LABELS.logicUnknownFilter, token));
+        }
+        state.referenced.add(index);
+        return;
+    }
+    fail(formatLabel(LABELS.logicUnexpectedToken, token));
+}
+
+function parseExpression(state) {
+    parseUnary(state);
+    let joiner = null;
+    while (state.tokens[state.pos] === 'AND' || state.tokens[state.pos] === 'OR') {
+        const op = state.tokens[state.pos++];
+        if (joiner && joiner !== op) fail(LABELS.logicMixedOperators);
+        joiner = op;
+        parseUnary(state);
+    }
+}
+
+// The first problem found as a message, or null when the logic is empty or valid
+export function validateFilterLogic(logic, filters) {
+    if (!logic || !logic.trim() || !filters.length) return null;
+    const rawTokens = logic.match(/\(|\)|\d+|[A-Za-z]+|\S/g) || [];
+    const state = { tokens: rawTokens.map(t => t.toUpperCase()), pos: 0, filters, referenced: new Set() };
+    try {
+        rawTokens.forEach(t => {
+            if (/^[A-Za-z]+$/.test(t) && !['AND', 'OR', 'NOT'].includes(t.toUpperCase())) {
+                fail(formatLabel(LABELS.logicUnknownWord, t));
+            } else if (!/^(\(|\)|\d+|[A-Za-z]+)$/.test(t)) {
+                fail(formatLabel(LABELS.logicInvalidCharacter, t));
+            }
+        });
+        parseExpression(state);
+        if (state.pos < state.tokens.length) fail(formatLabel(LABELS.logicUnexpectedToken, state.tokens[state.pos]));
+        filters.forEach((f, i) => {
+            if (isFilterComplete(f) && !state.referenced.has(i + 1)) fail(formatLabel(LABELS.logicUnreferencedFilter, i + 1));
+        });
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
@@ -0,0 +1,348 @@
+// RFC 5545 helpers for the calendar's .ics export and import
+import { wallTimeToInstant } from './timezone';
+import { LABELS, formatLabel } from './labels';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// TEXT values: backslash first, then the separators and line breaks
+export function escapeText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are continued with CRLF + space, never splitting a UTF-8 sequence
+export function foldLine(line) {
+    let result = '';
+    let octets = 0;
+    for (const ch of line) {
+        const code = ch.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (octets + size > MAX_LINE_OCTETS) {
+            result += CRLF + ' ';
+            octets = 1;
+        }
+        result += ch;
+        octets += size;
+    }
+    return result;
+}
+
+export function formatUtcDateTime(d) {
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// DATE field values are floating local midnights, so their calendar day is the local one
+export function formatDate(d) {
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+// events: [{ uid, title, start, end, isAllDay, url, category }]
+export function buildCalendar(events, prodId) {
+    const stamp = formatUtcDateTime(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${prodId}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+    events.forEach(evt => {
+        lines.push('BEGIN:VEVENT', `UID:${evt.uid}`, `DTSTAMP:${stamp}`);
+        if (evt.isAllDay) {
+            // DTEND is exclusive for all-day events, so it is the day after the last day
+            const end = new Date(Math.max(evt.end.getTime(), evt.start.getTime()));
+            end.setDate(end.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(evt.start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+        } else {
+            lines.push(`DTSTART:${formatUtcDateTime(evt.start)}`, `DTEND:${formatUtcDateTime(evt.end)}`);
+        }
+        lines.push(`SUMMARY:${escapeText(evt.title)}`);
+        if (evt.category) lines.push(`CATEGORIES:${escapeText(evt.category)}`);
+        if (evt.url) lines.push(`URL:${evt.url}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+// --- IMPORT ---
+
+const DAY_MS = 86400000;
+const MAX_OCCURRENCES = 500;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook and Exchange write Windows zone names in TZID; the common ones map onto IANA zones
+const WINDOWS_ZONES = {
+    'UTC': 'UTC', 'GMT Standard Time': 'Europe/London', 'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris', 'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw', 'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev', 'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago', 'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix', 'Pacific Standard Time': 'America/Los_Angeles',
+    'India Standard Time': 'Asia/Kolkata', 'China Standard Time': 'Asia/Shanghai',
+    'Tokyo Standard Time': 'Asia/Tokyo', 'AUS Eastern Standard Time': 'Australia/Sydney'
+};
+
+export function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// Splits "NAME;PARAM=a;PARAM2="x:y":value" on the first colon outside quotes
+function parseProperty(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon < 0) return null;
+    const head = line.substring(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    head.slice(1).forEach(p => {
+        const eq = p.indexOf('=');
+        if (eq > 0) params[p.substring(0, eq).toUpperCase()] = p.substring(eq + 1).replace(/^"|"$/g, '');
+    });
+    return { name: head[0].toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+// Wall-clock times are kept as "naive" UTC milliseconds until the zone is applied, so recurrence
+// arithmetic stays in local time across DST changes
+function parseDateValue(value, params) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+    if (!m) return null;
+    const isDate = params.VALUE === 'DATE' || !m[4];
+    return {
+        wall: Date.UTC(+m[1], +m[2] - 1, +m[3], isDate ? 0 : +m[4], isDate ? 0 : +m[5], isDate ? 0 : +m[6]),
+        isDate, isUtc: !!m[7], tzid: params.TZID
+    };
+}
+
+function resolveZone(tzid) {
+    if (!tzid) return null;
+    const name = WINDOWS_ZONES[tzid] || tzid.replace(/^\//, '');
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+}
+
+// Converts a naive wall time to a real instant. DATE values become local midnight, matching how
+// the calendar reads Salesforce DATE fields.
+function toInstant(wall, info, warnings) {
+    if (info.isUtc) return new Date(wall);
+    if (info.isDate) {
+        const d = new Date(wall);
+        return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    }
+    if (info.tzid) {
+        const zone = resolveZone(info.tzid);
+        if (zone) return new Date(wallTimeToInstant(wall, zone));
+        warnings.add(formatLabel(LABELS.icsUnknownTimeZone, info.tzid));
+    }
+    const d = new Date(wall);
+    return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds());
+}
+
+function parseDuration(value) {
+    const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+    if (!m) return null;
+    const ms = ((+(m[2] || 0) * 7 + +(m[3] || 0)) * 86400 + +(m[4] || 0) * 3600 + +(m[5] || 0) * 60 + +(m[6] || 0)) * 1000;
+    return m[1] === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, val] = part.split('=');
+        if (key && val) rule[key.toUpperCase()] = val.toUpperCase();
+    });
+    return {
+        freq: rule.FREQ,
+        interval: Math.max(parseInt(rule.INTERVAL, 10) || 1, 1),
+        count: parseInt(rule.COUNT, 10) || null,
+        until: rule.UNTIL ? parseDateValue(rule.UNTIL, {}) : null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(',').map(d => {
+            const m = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(d);
+            return m ? { n: m[1] ? parseInt(m[1], 10) : 0, day: WEEKDAYS.indexOf(m[2]) } : null;
+        }).filter(d => d) : null,
+        byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number).filter(n => n) : null,
+        byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number).filter(n => n >= 1 && n <= 12) : null
+    };
+}
+
+function daysInMonth(year, month) { return new Date(Date.UTC(year, month + 1, 0)).getUTCDate(); }
+
+// Candidate days (naive UTC midnights) of one month for MONTHLY/YEARLY rules
+function monthDays(year, month, rule, startDay) {
+    const len = daysInMonth(year, month);
+    if (rule.byMonthDay) {
+        return rule.byMonthDay.map(n => (n > 0 ? n : len + n + 1)).filter(n => n >= 1 && n <= len).map(n => Date.UTC(year, month, n));
+    }
+    if (rule.byDay) {
+        const days = [];
+        rule.byDay.forEach(({ n, day }) => {
+            const matches = [];
+            for (let d = 1; d <= len; d++) if (new Date(Date.UTC(year, month, d)).getUTCDay() === day) matches.push(d);
+            if (!n) matches.forEach(d => days.push(Date.UTC(year, month, d)));
+            else {
+                const pick = n > 0 ? matches[n - 1] : matches[matches.length + n];
+                if (pick) days.push(Date.UTC(year, month, pick));
+            }
+        });
+        return days;
+    }
+    return startDay <= len ? [Date.UTC(year, month, startDay)] : [];
+}
+
+// Expands a series in wall-clock time. Only rules in the RRULE are honoured (no RDATE), and
+// open-ended series stop at the horizon.
+function expandRule(startWall, rule, horizonWall, untilCheck) {
+    const start = new Date(startWall);
+    const timeOfDay = startWall % DAY_MS;
+    const firstDay = startWall - timeOfDay;
+    const occurrences = [];
+    const supported = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+    if (!supported.includes(rule.freq)) return [startWall];
+
+    for (let period = 0; period < 5000 && occurrences.length < MAX_OCCURRENCES; period++) {
+        let days = [];
+        if (rule.freq === 'DAILY') {
+            days = [firstDay + period * rule.interval * DAY_MS];
+        } else if (rule.freq === 'WEEKLY') {
+            // Weeks start on Monday (the RFC 5545 default WKST)
+            const weekStart = firstDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * rule.interval * 7 * DAY_MS;
+            const weekdays = rule.byDay ? rule.byDay.map(d => d.day) : [start.getUTCDay()];
+            days = weekdays.map(day => weekStart + ((day + 6) % 7) * DAY_MS);
+        } else if (rule.freq === 'MONTHLY') {
+            const monthIndex = start.getUTCMonth() + period * rule.interval;
+            days = monthDays(start.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12, rule, start.getUTCDate());
+        } else {
+            const year = start.getUTCFullYear() + period * rule.interval;
+            (rule.byMonth || [start.getUTCMonth() + 1]).forEach(m => { days = days.concat(monthDays(year, m - 1, rule, start.getUTCDate())); });
+        }
+
+        if (rule.byMonth && rule.freq !== 'YEARLY') days = days.filter(d => rule.byMonth.includes(new Date(d).getUTCMonth() + 1));
+        if (rule.byDay && rule.freq === 'DAILY') days = days.filter(d => rule.byDay.some(b => b.day === new Date(d).getUTCDay()));
+
+        const candidates = days.map(d => d + timeOfDay).filter(t => t >= startWall).sort((a, b) => a - b);
+        if (!candidates.length && days.length && Math.max(...days) > horizonWall) break;
+        for (const t of candidates) {
+            if (t > horizonWall || untilCheck(t) || (rule.count && occurrences.length >= rule.count)) return occurrences;
+            occurrences.push(t);
+        }
+    }
+    return occurrences;
+}
+
+// UNTIL in UTC is compared as an instant; a floating or DATE value against the wall clock (DATE is inclusive)
+function untilChecker(rule, startInfo, warnings) {
+    if (!rule.until) return () => false;
+    if (rule.until.isUtc) return t => toInstant(t, startInfo, warnings).getTime() > rule.until.wall;
+    return t => t > rule.until.wall + (rule.until.isDate ? DAY_MS - 1 : 0);
+}
+
+/**
+ * Occurrence starts of a series that begins at `start` (a Date) and follows the RRULE value `ruleText`,
+ * up to `horizon`. Runs on the browser's clock, so occurrences keep their time of day across DST changes.
+ */
+export function expandSeries(start, ruleText, horizon) {
+    const info = { isDate: false, isUtc: false };
+    const toWall = d => d.getTime() - d.getTimezoneOffset() * 60000;
+    const rule = parseRule(String(ruleText || '').replace(/^RRULE:/i, ''));
+    return expandRule(toWall(start), rule, toWall(horizon), untilChecker(rule, info, new Set())).map(t => toInstant(t, info));
+}
+
+function readEvents(lines) {
+    const events = [];
+    let current = null;
+    let depth = 0;
+    lines.forEach(raw => {
+        const prop = parseProperty(raw);
+        if (!prop) return;
+        if (prop.name === 'BEGIN') {
+            if (prop.value.toUpperCase() === 'VEVENT') { current = { props: {}, exdates: [] }; depth = 0; }
+            else if (current) depth++;
+        } else if (prop.name === 'END') {
+            if (prop.value.toUpperCase() === 'VEVENT' && current) { events.push(current); current = null; }
+            else if (current) depth--;
+        } else if (current && depth === 0) {
+            // Nested components such as VALARM carry their own SUMMARY/DESCRIPTION; skip them
+            if (prop.name === 'EXDATE') current.exdates.push(prop);
+            else current.props[prop.name] = prop;
+        }
+    });
+    return events;
+}
+
+/**
+ * Parses VEVENTs into concrete occurrences: [{ key, uid, title, start, end, isAllDay, isRecurring }].
+ * For all-day events `end` is the exclusive DTEND. Series are expanded up to `horizon`, honouring
+ * EXDATE and RECURRENCE-ID overrides (cancelled overrides drop the occurrence). Floating times (no TZID
+ * and no Z) are read in `floatingZone`, or the browser's zone without one.
+ */
+export function parseCalendar(text, horizon, floatingZone) {
+    const warnings = new Set();
+    const readDate = (value, params) => parseDateValue(value, { TZID: floatingZone, ...params });
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const vevents = readEvents(lines);
+    if (!lines.some(l => /^BEGIN:VCALENDAR/i.test(l))) throw new Error(LABELS.icsNotCalendar);
+
+    const overrides = new Map();
+    vevents.filter(v => v.props['RECURRENCE-ID']).forEach(v => {
+        const p = v.props['RECURRENCE-ID'];
+        const info = readDate(p.value, p.params);
+        if (info) overrides.set(`${v.props.UID ? v.props.UID.value : ''}|${toInstant(info.wall, info, warnings).getTime()}`, v);
+    });
+
+    const result = [];
+    vevents.forEach((v, index) => {
+        const p = v.props;
+        const startInfo = p.DTSTART ? readDate(p.DTSTART.value, p.DTSTART.params) : null;
+        if (!startInfo) { warnings.add(LABELS.icsMissingStart); return; }
+        const uid = p.UID ? p.UID.value : `event-${index}`;
+        const isOverride = !!p['RECURRENCE-ID'];
+        if (p.STATUS && p.STATUS.value.toUpperCase() === 'CANCELLED') return;
+
+        let duration;
+        const endInfo = p.DTEND ? readDate(p.DTEND.value, p.DTEND.params) : null;
+        if (endInfo) duration = toInstant(endInfo.wall, endInfo, warnings) - toInstant(startInfo.wall, startInfo, warnings);
+        else if (p.DURATION) duration = parseDuration(p.DURATION.value);
+        if (duration == null || duration < 0) duration = startInfo.isDate ? DAY_MS : 0;
+
+        let walls = [startInfo.wall];
+        const isRecurring = !!p.RRULE && !isOverride;
+        if (isRecurring) {
+            const rule = parseRule(p.RRULE.value);
+            const horizonWall = horizon.getTime() - horizon.getTimezoneOffset() * 60000;
+            walls = expandRule(startInfo.wall, rule, horizonWall, untilChecker(rule, startInfo, warnings));
+            if (!rule.count && !rule.until) warnings.add(formatLabel(LABELS.icsOpenEndedSeries, horizon.toLocaleDateString()));
+        }
+
+        const excluded = new Set();
+        v.exdates.forEach(ex => ex.value.split(',').forEach(val => {
+            const info = parseDateValue(val, { TZID: startInfo.tzid, ...ex.params });
+            if (info) excluded.add(toInstant(info.wall, info, warnings).getTime());
+        }));
+
+        walls.forEach(wall => {
+            const start = toInstant(wall, startInfo, warnings);
+            if (excluded.has(start.getTime())) return;
+            if (isRecurring && overrides.has(`${uid}|${start.getTime()}`)) return;
+            result.push({
+                key: `${uid}|${start.getTime()}`,
+                uid,
+                title: p.SUMMARY ? unescapeText(p.SUMMARY.value) : LABELS.noTitle,
+                start,
+                end: new Date(start.getTime() + duration),
+                isAllDay: startInfo.isDate,
+                isRecurring: isRecurring || isOverride
+            });
+        });
+    });
+
+    result.sort((a, b) => a.start - b.start);
+    return { events: result, warnings: [...warnings] };
+}
@@ -0,0 +1,317 @@
+// Custom labels for the calendar's own UI text, so it can be translated in Translation Workbench
+import today from '@salesforce/label/c.MultiCalendar_Today';
+import previous from '@salesforce/label/c.MultiCalendar_Previous';
+import next from '@salesforce/label/c.MultiCalendar_Next';
+import month from '@salesforce/label/c.MultiCalendar_Month';
+import week from '@salesforce/label/c.MultiCalendar_Week';
+import day from '@salesforce/label/c.MultiCalendar_Day';
+import agenda from '@salesforce/label/c.MultiCalendar_Agenda';
+import year from '@salesforce/label/c.MultiCalendar_Year';
+import timeline from '@salesforce/label/c.MultiCalendar_Timeline';
+import savedView from '@salesforce/label/c.MultiCalendar_SavedView';
+import viewActions from '@salesforce/label/c.MultiCalendar_ViewActions';
+import newView from '@salesforce/label/c.MultiCalendar_NewView';
+import rename from '@salesforce/label/c.MultiCalendar_Rename';
+import duplicate from '@salesforce/label/c.MultiCalendar_Duplicate';
+import setAsDefault from '@salesforce/label/c.MultiCalendar_SetAsDefault';
+import deleteView from '@salesforce/label/c.MultiCalendar_DeleteView';
+import defaultView from '@salesforce/label/c.MultiCalendar_DefaultView';
+import sharedView from '@salesforce/label/c.MultiCalendar_SharedView';
+import timezone from '@salesforce/label/c.MultiCalendar_Timezone';
+import myTimezone from '@salesforce/label/c.MultiCalendar_MyTimezone';
+import importIcs from '@salesforce/label/c.MultiCalendar_ImportIcs';
+import exportIcs from '@salesforce/label/c.MultiCalendar_ExportIcs';
+import settings from '@salesforce/label/c.MultiCalendar_Settings';
+import allDay from '@salesforce/label/c.MultiCalendar_AllDay';
+import showMore from '@salesforce/label/c.MultiCalendar_ShowMore';
+import noEvents from '@salesforce/label/c.MultiCalendar_NoEvents';
+import loadMore from '@salesforce/label/c.MultiCalendar_LoadMore';
+import show from '@salesforce/label/c.MultiCalendar_Show';
+import nextDays from '@salesforce/label/c.MultiCalendar_NextDays';
+import agendaFrom from '@salesforce/label/c.MultiCalendar_AgendaFrom';
+import agendaUntil from '@salesforce/label/c.MultiCalendar_AgendaUntil';
+import scale from '@salesforce/label/c.MultiCalendar_Scale';
+import fewer from '@salesforce/label/c.MultiCalendar_Fewer';
+import more from '@salesforce/label/c.MultiCalendar_More';
+import eventCount from '@salesforce/label/c.MultiCalendar_EventCount';
+import unassigned from '@salesforce/label/c.MultiCalendar_Unassigned';
+import openSeries from '@salesforce/label/c.MultiCalendar_OpenSeries';
+import resizeHint from '@salesforce/label/c.MultiCalendar_ResizeHint';
+import close from '@salesforce/label/c.MultiCalendar_Close';
+import selectRecordToCreate from '@salesforce/label/c.MultiCalendar_SelectRecordToCreate';
+import cancel from '@salesforce/label/c.MultiCalendar_Cancel';
+import firstDayOfWeek from '@salesforce/label/c.MultiCalendar_FirstDayOfWeek';
+import localeDefault from '@salesforce/label/c.MultiCalendar_LocaleDefault';
+import holiday from '@salesforce/label/c.MultiCalendar_Holiday';
+import holidayWarning from '@salesforce/label/c.MultiCalendar_HolidayWarning';
+import quickCreate from '@salesforce/label/c.MultiCalendar_QuickCreate';
+import quickEdit from '@salesforce/label/c.MultiCalendar_QuickEdit';
+import openRecord from '@salesforce/label/c.MultiCalendar_OpenRecord';
+import save from '@salesforce/label/c.MultiCalendar_Save';
+import edit from '@salesforce/label/c.MultiCalendar_Edit';
+import deleteRecord from '@salesforce/label/c.MultiCalendar_DeleteRecord';
+import deleteRecordConfirm from '@salesforce/label/c.MultiCalendar_DeleteRecordConfirm';
+import details from '@salesforce/label/c.MultiCalendar_Details';
+import colorLegend from '@salesforce/label/c.MultiCalendar_ColorLegend';
+import otherRecords from '@salesforce/label/c.MultiCalendar_OtherRecords';
+import calendarLayers from '@salesforce/label/c.MultiCalendar_CalendarLayers';
+import legendHint from '@salesforce/label/c.MultiCalendar_LegendHint';
+import search from '@salesforce/label/c.MultiCalendar_Search';
+import noMatches from '@salesforce/label/c.MultiCalendar_NoMatches';
+import searchAllDates from '@salesforce/label/c.MultiCalendar_SearchAllDates';
+import scopeMine from '@salesforce/label/c.MultiCalendar_ScopeMine';
+import scopeTeam from '@salesforce/label/c.MultiCalendar_ScopeTeam';
+import scopeSpecific from '@salesforce/label/c.MultiCalendar_ScopeSpecific';
+import scopeEveryone from '@salesforce/label/c.MultiCalendar_ScopeEveryone';
+import opEquals from '@salesforce/label/c.MultiCalendar_OpEquals';
+import opNotEquals from '@salesforce/label/c.MultiCalendar_OpNotEquals';
+import opLessThan from '@salesforce/label/c.MultiCalendar_OpLessThan';
+import opGreaterThan from '@salesforce/label/c.MultiCalendar_OpGreaterThan';
+import opLessOrEqual from '@salesforce/label/c.MultiCalendar_OpLessOrEqual';
+import opGreaterOrEqual from '@salesforce/label/c.MultiCalendar_OpGreaterOrEqual';
+import opContains from '@salesforce/label/c.MultiCalendar_OpContains';
+import opStartsWith from '@salesforce/label/c.MultiCalendar_OpStartsWith';
+import opIn from '@salesforce/label/c.MultiCalendar_OpIn';
+import opIsBlank from '@salesforce/label/c.MultiCalendar_OpIsBlank';
+import opIsNotBlank from '@salesforce/label/c.MultiCalendar_OpIsNotBlank';
+import dateSpecific from '@salesforce/label/c.MultiCalendar_DateSpecific';
+import dateYesterday from '@salesforce/label/c.MultiCalendar_DateYesterday';
+import dateToday from '@salesforce/label/c.MultiCalendar_DateToday';
+import dateTomorrow from '@salesforce/label/c.MultiCalendar_DateTomorrow';
+import dateLastWeek from '@salesforce/label/c.MultiCalendar_DateLastWeek';
+import dateThisWeek from '@salesforce/label/c.MultiCalendar_DateThisWeek';
+import dateNextWeek from '@salesforce/label/c.MultiCalendar_DateNextWeek';
+import dateLastMonth from '@salesforce/label/c.MultiCalendar_DateLastMonth';
+import dateThisMonth from '@salesforce/label/c.MultiCalendar_DateThisMonth';
+import dateNextMonth from '@salesforce/label/c.MultiCalendar_DateNextMonth';
+import dateLastQuarter from '@salesforce/label/c.MultiCalendar_DateLastQuarter';
+import dateThisQuarter from '@salesforce/label/c.MultiCalendar_DateThisQuarter';
+import dateNextQuarter from '@salesforce/label/c.MultiCalendar_DateNextQuarter';
+import dateLastYear from '@salesforce/label/c.MultiCalendar_DateLastYear';
+import dateThisYear from '@salesforce/label/c.MultiCalendar_DateThisYear';
+import dateNextYear from '@salesforce/label/c.MultiCalendar_DateNextYear';
+import dateThisFiscalQuarter from '@salesforce/label/c.MultiCalendar_DateThisFiscalQuarter';
+import dateThisFiscalYear from '@salesforce/label/c.MultiCalendar_DateThisFiscalYear';
+import dateLastNDays from '@salesforce/label/c.MultiCalendar_DateLastNDays';
+import dateNextNDays from '@salesforce/label/c.MultiCalendar_DateNextNDays';
+import dateNDaysAgo from '@salesforce/label/c.MultiCalendar_DateNDaysAgo';
+import dateLastNWeeks from '@salesforce/label/c.MultiCalendar_DateLastNWeeks';
+import dateNextNWeeks from '@salesforce/label/c.MultiCalendar_DateNextNWeeks';
+import dateLastNMonths from '@salesforce/label/c.MultiCalendar_DateLastNMonths';
+import dateNextNMonths from '@salesforce/label/c.MultiCalendar_DateNextNMonths';
+import dateLastNQuarters from '@salesforce/label/c.MultiCalendar_DateLastNQuarters';
+import dateNextNQuarters from '@salesforce/label/c.MultiCalendar_DateNextNQuarters';
+import dateLastNYears from '@salesforce/label/c.MultiCalendar_DateLastNYears';
+import dateNextNYears from '@salesforce/label/c.MultiCalendar_DateNextNYears';
+import dateN from '@salesforce/label/c.MultiCalendar_DateN';
+import filterValue from '@salesforce/label/c.MultiCalendar_FilterValue';
+import filterValues from '@salesforce/label/c.MultiCalendar_FilterValues';
+import filterDate from '@salesforce/label/c.MultiCalendar_FilterDate';
+import available from '@salesforce/label/c.MultiCalendar_Available';
+import selected from '@salesforce/label/c.MultiCalendar_Selected';
+import operator from '@salesforce/label/c.MultiCalendar_Operator';
+import commaSeparated from '@salesforce/label/c.MultiCalendar_CommaSeparated';
+import logicEndsUnexpectedly from '@salesforce/label/c.MultiCalendar_LogicEndsUnexpectedly';
+import logicMissingParenthesis from '@salesforce/label/c.MultiCalendar_LogicMissingParenthesis';
+import logicUnknownFilter from '@salesforce/label/c.MultiCalendar_LogicUnknownFilter';
+import logicUnexpectedToken from '@salesforce/label/c.MultiCalendar_LogicUnexpectedToken';
+import logicMixedOperators from '@salesforce/label/c.MultiCalendar_LogicMixedOperators';
+import logicUnknownWord from '@salesforce/label/c.MultiCalendar_LogicUnknownWord';
+import logicInvalidCharacter from '@salesforce/label/c.MultiCalendar_LogicInvalidCharacter';
+import logicUnreferencedFilter from '@salesforce/label/c.MultiCalendar_LogicUnreferencedFilter';
+import myCalendar from '@salesforce/label/c.MultiCalendar_MyCalendar';
+import viewName from '@salesforce/label/c.MultiCalendar_ViewName';
+import duplicateView from '@salesforce/label/c.MultiCalendar_DuplicateView';
+import renameView from '@salesforce/label/c.MultiCalendar_RenameView';
+import copyOf from '@salesforce/label/c.MultiCalendar_CopyOf';
+import deleteViewTitle from '@salesforce/label/c.MultiCalendar_DeleteViewTitle';
+import deleteViewConfirm from '@salesforce/label/c.MultiCalendar_DeleteViewConfirm';
+import usingSharedConfig from '@salesforce/label/c.MultiCalendar_UsingSharedConfig';
+import usingPersonalConfig from '@salesforce/label/c.MultiCalendar_UsingPersonalConfig';
+import success from '@salesforce/label/c.MultiCalendar_Success';
+import error from '@salesforce/label/c.MultiCalendar_Error';
+import unknownError from '@salesforce/label/c.MultiCalendar_UnknownError';
+import searchFailed from '@salesforce/label/c.MultiCalendar_SearchFailed';
+import missingFields from '@salesforce/label/c.MultiCalendar_MissingFields';
+import missingFieldsMessage from '@salesforce/label/c.MultiCalendar_MissingFieldsMessage';
+import invalidFilterLogic from '@salesforce/label/c.MultiCalendar_InvalidFilterLogic';
+import missingUsers from '@salesforce/label/c.MultiCalendar_MissingUsers';
+import missingUsersMessage from '@salesforce/label/c.MultiCalendar_MissingUsersMessage';
+import configUnavailable from '@salesforce/label/c.MultiCalendar_ConfigUnavailable';
+import calendarImported from '@salesforce/label/c.MultiCalendar_CalendarImported';
+import calendarImportedMessage from '@salesforce/label/c.MultiCalendar_CalendarImportedMessage';
+import configNotSaved from '@salesforce/label/c.MultiCalendar_ConfigNotSaved';
+import configSaved from '@salesforce/label/c.MultiCalendar_ConfigSaved';
+import viewSaved from '@salesforce/label/c.MultiCalendar_ViewSaved';
+import viewSavedMessage from '@salesforce/label/c.MultiCalendar_ViewSavedMessage';
+import defaultViewSet from '@salesforce/label/c.MultiCalendar_DefaultViewSet';
+import defaultViewSetMessage from '@salesforce/label/c.MultiCalendar_DefaultViewSetMessage';
+import updateFailed from '@salesforce/label/c.MultiCalendar_UpdateFailed';
+import deleteFailed from '@salesforce/label/c.MultiCalendar_DeleteFailed';
+import missingName from '@salesforce/label/c.MultiCalendar_MissingName';
+import missingNameMessage from '@salesforce/label/c.MultiCalendar_MissingNameMessage';
+import published from '@salesforce/label/c.MultiCalendar_Published';
+import publishedMessage from '@salesforce/label/c.MultiCalendar_PublishedMessage';
+import publishFailed from '@salesforce/label/c.MultiCalendar_PublishFailed';
+import loadFailed from '@salesforce/label/c.MultiCalendar_LoadFailed';
+import recordDeleted from '@salesforce/label/c.MultiCalendar_RecordDeleted';
+import recordSaved from '@salesforce/label/c.MultiCalendar_RecordSaved';
+import recordCreated from '@salesforce/label/c.MultiCalendar_RecordCreated';
+import recurringSeries from '@salesforce/label/c.MultiCalendar_RecurringSeries';
+import virtualOccurrence from '@salesforce/label/c.MultiCalendar_VirtualOccurrence';
+import cannotReschedule from '@salesforce/label/c.MultiCalendar_CannotReschedule';
+import systemDateField from '@salesforce/label/c.MultiCalendar_SystemDateField';
+import saved from '@salesforce/label/c.MultiCalendar_Saved';
+import eventMoved from '@salesforce/label/c.MultiCalendar_EventMoved';
+import eventResized from '@salesforce/label/c.MultiCalendar_EventResized';
+import saveFailed from '@salesforce/label/c.MultiCalendar_SaveFailed';
+import cannotResize from '@salesforce/label/c.MultiCalendar_CannotResize';
+import noEndField from '@salesforce/label/c.MultiCalendar_NoEndField';
+import invalidEndTime from '@salesforce/label/c.MultiCalendar_InvalidEndTime';
+import endBeforeStart from '@salesforce/label/c.MultiCalendar_EndBeforeStart';
+import nothingToExport from '@salesforce/label/c.MultiCalendar_NothingToExport';
+import nothingToExportMessage from '@salesforce/label/c.MultiCalendar_NothingToExportMessage';
+import noEventsFound from '@salesforce/label/c.MultiCalendar_NoEventsFound';
+import noEventsFoundMessage from '@salesforce/label/c.MultiCalendar_NoEventsFoundMessage';
+import cannotReadFile from '@salesforce/label/c.MultiCalendar_CannotReadFile';
+import importFinished from '@salesforce/label/c.MultiCalendar_ImportFinished';
+import importFinishedMessage from '@salesforce/label/c.MultiCalendar_ImportFinishedMessage';
+import importTitle from '@salesforce/label/c.MultiCalendar_ImportTitle';
+import icsFile from '@salesforce/label/c.MultiCalendar_IcsFile';
+import createRecordsOn from '@salesforce/label/c.MultiCalendar_CreateRecordsOn';
+import selectSource from '@salesforce/label/c.MultiCalendar_SelectSource';
+import selectAll from '@salesforce/label/c.MultiCalendar_SelectAll';
+import select from '@salesforce/label/c.MultiCalendar_Select';
+import importEventTitle from '@salesforce/label/c.MultiCalendar_ImportEventTitle';
+import importWhen from '@salesforce/label/c.MultiCalendar_ImportWhen';
+import importResult from '@salesforce/label/c.MultiCalendar_ImportResult';
+import recurring from '@salesforce/label/c.MultiCalendar_Recurring';
+import importCreated from '@salesforce/label/c.MultiCalendar_ImportCreated';
+import importButton from '@salesforce/label/c.MultiCalendar_ImportButton';
+import icsNotCalendar from '@salesforce/label/c.MultiCalendar_IcsNotCalendar';
+import icsUnknownTimeZone from '@salesforce/label/c.MultiCalendar_IcsUnknownTimeZone';
+import icsMissingStart from '@salesforce/label/c.MultiCalendar_IcsMissingStart';
+import icsOpenEndedSeries from '@salesforce/label/c.MultiCalendar_IcsOpenEndedSeries';
+import calendarConfiguration from '@salesforce/label/c.MultiCalendar_CalendarConfiguration';
+import dataSources from '@salesforce/label/c.MultiCalendar_DataSources';
+import theme from '@salesforce/label/c.MultiCalendar_Theme';
+import creationLogic from '@salesforce/label/c.MultiCalendar_CreationLogic';
+import sharing from '@salesforce/label/c.MultiCalendar_Sharing';
+import activeCalendars from '@salesforce/label/c.MultiCalendar_ActiveCalendars';
+import addCalendar from '@salesforce/label/c.MultiCalendar_AddCalendar';
+import active from '@salesforce/label/c.MultiCalendar_Active';
+import objectName from '@salesforce/label/c.MultiCalendar_ObjectName';
+import apiName from '@salesforce/label/c.MultiCalendar_ApiName';
+import color from '@salesforce/label/c.MultiCalendar_Color';
+import actions from '@salesforce/label/c.MultiCalendar_Actions';
+import holidays from '@salesforce/label/c.MultiCalendar_Holidays';
+import configureSource from '@salesforce/label/c.MultiCalendar_ConfigureSource';
+import selectObject from '@salesforce/label/c.MultiCalendar_SelectObject';
+import startDate from '@salesforce/label/c.MultiCalendar_StartDate';
+import endDate from '@salesforce/label/c.MultiCalendar_EndDate';
+import titleType from '@salesforce/label/c.MultiCalendar_TitleType';
+import titleField from '@salesforce/label/c.MultiCalendar_TitleField';
+import eventColor from '@salesforce/label/c.MultiCalendar_EventColor';
+import timelineRows from '@salesforce/label/c.MultiCalendar_TimelineRows';
+import timelineRowsHelp from '@salesforce/label/c.MultiCalendar_TimelineRowsHelp';
+import sameAsUserField from '@salesforce/label/c.MultiCalendar_SameAsUserField';
+import filters from '@salesforce/label/c.MultiCalendar_Filters';
+import filterByUser from '@salesforce/label/c.MultiCalendar_FilterByUser';
+import showRecordsFor from '@salesforce/label/c.MultiCalendar_ShowRecordsFor';
+import addUser from '@salesforce/label/c.MultiCalendar_AddUser';
+import searchUsers from '@salesforce/label/c.MultiCalendar_SearchUsers';
+import addQueue from '@salesforce/label/c.MultiCalendar_AddQueue';
+import searchQueues from '@salesforce/label/c.MultiCalendar_SearchQueues';
+import filterLogic from '@salesforce/label/c.MultiCalendar_FilterLogic';
+import filterLogicPlaceholder from '@salesforce/label/c.MultiCalendar_FilterLogicPlaceholder';
+import additionalFilters from '@salesforce/label/c.MultiCalendar_AdditionalFilters';
+import saveSource from '@salesforce/label/c.MultiCalendar_SaveSource';
+import globalTheme from '@salesforce/label/c.MultiCalendar_GlobalTheme';
+import todayHighlight from '@salesforce/label/c.MultiCalendar_TodayHighlight';
+import gridHover from '@salesforce/label/c.MultiCalendar_GridHover';
+import maxRecordsPerDay from '@salesforce/label/c.MultiCalendar_MaxRecordsPerDay';
+import defaultCalendarView from '@salesforce/label/c.MultiCalendar_DefaultCalendarView';
+import showTimezoneSwitcher from '@salesforce/label/c.MultiCalendar_ShowTimezoneSwitcher';
+import creationBehavior from '@salesforce/label/c.MultiCalendar_CreationBehavior';
+import selectBehavior from '@salesforce/label/c.MultiCalendar_SelectBehavior';
+import decideOnClick from '@salesforce/label/c.MultiCalendar_DecideOnClick';
+import alwaysCreate from '@salesforce/label/c.MultiCalendar_AlwaysCreate';
+import currentView from '@salesforce/label/c.MultiCalendar_CurrentView';
+import sharedCalendars from '@salesforce/label/c.MultiCalendar_SharedCalendars';
+import useSharedConfig from '@salesforce/label/c.MultiCalendar_UseSharedConfig';
+import noSharedCalendars from '@salesforce/label/c.MultiCalendar_NoSharedCalendars';
+import publishForOthers from '@salesforce/label/c.MultiCalendar_PublishForOthers';
+import sharedCalendarName from '@salesforce/label/c.MultiCalendar_SharedCalendarName';
+import publishConfig from '@salesforce/label/c.MultiCalendar_PublishConfig';
+import businessHours from '@salesforce/label/c.MultiCalendar_BusinessHours';
+import businessHoursHelp from '@salesforce/label/c.MultiCalendar_BusinessHoursHelp';
+import orgDefault from '@salesforce/label/c.MultiCalendar_OrgDefault';
+import none from '@salesforce/label/c.MultiCalendar_None';
+import nonWorkingHours from '@salesforce/label/c.MultiCalendar_NonWorkingHours';
+import shadeHours from '@salesforce/label/c.MultiCalendar_ShadeHours';
+import collapseHours from '@salesforce/label/c.MultiCalendar_CollapseHours';
+import hideHours from '@salesforce/label/c.MultiCalendar_HideHours';
+import hideWeekends from '@salesforce/label/c.MultiCalendar_HideWeekends';
+import quickEditFields from '@salesforce/label/c.MultiCalendar_QuickEditFields';
+import quickEditFieldsHelp from '@salesforce/label/c.MultiCalendar_QuickEditFieldsHelp';
+import onTheForm from '@salesforce/label/c.MultiCalendar_OnTheForm';
+import hoverCardFields from '@salesforce/label/c.MultiCalendar_HoverCardFields';
+import hoverCardFieldsHelp from '@salesforce/label/c.MultiCalendar_HoverCardFieldsHelp';
+import onTheCard from '@salesforce/label/c.MultiCalendar_OnTheCard';
+import colorRules from '@salesforce/label/c.MultiCalendar_ColorRules';
+import colorRulesHint from '@salesforce/label/c.MultiCalendar_ColorRulesHint';
+import addColorRule from '@salesforce/label/c.MultiCalendar_AddColorRule';
+import ruleField from '@salesforce/label/c.MultiCalendar_RuleField';
+import ruleIcon from '@salesforce/label/c.MultiCalendar_RuleIcon';
+import ruleIconPlaceholder from '@salesforce/label/c.MultiCalendar_RuleIconPlaceholder';
+import legendLabel from '@salesforce/label/c.MultiCalendar_LegendLabel';
+import legendLabelPlaceholder from '@salesforce/label/c.MultiCalendar_LegendLabelPlaceholder';
+import moveUp from '@salesforce/label/c.MultiCalendar_MoveUp';
+import moveDown from '@salesforce/label/c.MultiCalendar_MoveDown';
+import removeRule from '@salesforce/label/c.MultiCalendar_RemoveRule';
+import noTitle from '@salesforce/label/c.MultiCalendar_NoTitle';
+import allDayRange from '@salesforce/label/c.MultiCalendar_AllDayRange';
+
+export const LABELS = {
+    today, previous, next, month, week, day, agenda, year, timeline, savedView, viewActions, newView, rename,
+    duplicate, setAsDefault, deleteView, defaultView, sharedView, timezone, myTimezone, importIcs, exportIcs, settings,
+    allDay, showMore, noEvents, loadMore, show, nextDays, agendaFrom, agendaUntil, scale, fewer, more, eventCount,
+    unassigned, openSeries, resizeHint, close, selectRecordToCreate, cancel, firstDayOfWeek, localeDefault, holiday,
+    holidayWarning, quickCreate, quickEdit, openRecord, save, edit, deleteRecord, deleteRecordConfirm, details,
+    colorLegend, otherRecords, calendarLayers, legendHint, search, noMatches, searchAllDates, scopeMine, scopeTeam,
+    scopeSpecific, scopeEveryone, opEquals, opNotEquals, opLessThan, opGreaterThan, opLessOrEqual, opGreaterOrEqual,
+    opContains, opStartsWith, opIn, opIsBlank, opIsNotBlank, dateSpecific, dateYesterday, dateToday, dateTomorrow,
+    dateLastWeek, dateThisWeek, dateNextWeek, dateLastMonth, dateThisMonth, dateNextMonth, dateLastQuarter,
+    dateThisQuarter, dateNextQuarter, dateLastYear, dateThisYear, dateNextYear, dateThisFiscalQuarter,
+    dateThisFiscalYear, dateLastNDays, dateNextNDays, dateNDaysAgo, dateLastNWeeks, dateNextNWeeks, dateLastNMonths,
+    dateNextNMonths, dateLastNQuarters, dateNextNQuarters, dateLastNYears, dateNextNYears, dateN, filterValue,
+    filterValues, filterDate, available, selected, operator, commaSeparated, logicEndsUnexpectedly,
+    logicMissingParenthesis, logicUnknownFilter, logicUnexpectedToken, logicMixedOperators, logicUnknownWord,
+    logicInvalidCharacter, logicUnreferencedFilter, myCalendar, viewName, duplicateView, renameView, copyOf,
+    deleteViewTitle, deleteViewConfirm, usingSharedConfig, usingPersonalConfig, success, error, unknownError,
+    searchFailed, missingFields, missingFieldsMessage, invalidFilterLogic, missingUsers, missingUsersMessage,
+    configUnavailable, calendarImported, calendarImportedMessage, configNotSaved, configSaved, viewSaved,
+    viewSavedMessage, defaultViewSet, defaultViewSetMessage, updateFailed, deleteFailed, missingName,
+    missingNameMessage, published, publishedMessage, publishFailed, loadFailed, recordDeleted, recordSaved,
+    recordCreated, recurringSeries, virtualOccurrence, cannotReschedule, systemDateField, saved, eventMoved,
+    eventResized, saveFailed, cannotResize, noEndField, invalidEndTime, endBeforeStart, nothingToExport,
+    nothingToExportMessage, noEventsFound, noEventsFoundMessage, cannotReadFile, importFinished, importFinishedMessage,
+    importTitle, icsFile, createRecordsOn, selectSource, selectAll, select, importEventTitle, importWhen, importResult,
+    recurring, importCreated, importButton, icsNotCalendar, icsUnknownTimeZone, icsMissingStart, icsOpenEndedSeries,
+    calendarConfiguration, dataSources, theme, creationLogic, sharing, activeCalendars, addCalendar, active, objectName,
+    apiName, color, actions, holidays, configureSource, selectObject, startDate, endDate, titleType, titleField,
+    eventColor, timelineRows, timelineRowsHelp, sameAsUserField, filters, filterByUser, showRecordsFor, addUser,
+    searchUsers, addQueue, searchQueues, filterLogic, filterLogicPlaceholder, additionalFilters, saveSource,
+    globalTheme, todayHighlight, gridHover, maxRecordsPerDay, defaultCalendarView, showTimezoneSwitcher,
+    creationBehavior, selectBehavior, decideOnClick, alwaysCreate, currentView, sharedCalendars, useSharedConfig,
+    noSharedCalendars, publishForOthers, sharedCalendarName, publishConfig, businessHours, businessHoursHelp,
+    orgDefault, none, nonWorkingHours, shadeHours, collapseHours, hideHours, hideWeekends, quickEditFields,
+    quickEditFieldsHelp, onTheForm, hoverCardFields, hoverCardFieldsHelp, onTheCard, colorRules, colorRulesHint,
+    addColorRule, ruleField, ruleIcon, ruleIconPlaceholder, legendLabel, legendLabelPlaceholder, moveUp, moveDown,
+    removeRule, noTitle, allDayRange
+};
+
+// Fills the {0}, {1} ... placeholders of a label
+export function formatLabel(label, ...args) {
+    return label.replace(/\{(\d+)\}/g, (match, index) => (args[index] !== undefined ? String(args[index]) : match));
+}
@@ -0,0 +1,82 @@
+// Placement of events on the calendar grids; the component turns the result into classes and styles
+const DAY_MS = 86400000;
+
+// Shortest a timed block is drawn, so zero-length events stay clickable
+export const MIN_BLOCK_MINUTES = 20;
+
+// Packs day-spanning events into lanes over the given column days, each bar taking the lowest lane free on all
+// of its days. Days between columns (a hidden weekend) are skipped. Columns outside minCol..maxCol are not drawn
+// on; bars cut there are marked as continuing. Bars in lanes from maxLanes on are only counted as hidden per day.
+export function packDayBars(events, columns, maxLanes, minCol = 0, maxCol = columns.length - 1) {
+    const dayNumber = dt => Math.round(Date.UTC(dt.getFullYear(), dt.getMonth(), dt.getDate()) / DAY_MS);
+    const columnDays = columns.map(dayNumber);
+    const perDay = columns.map(() => ({ events: [], hidden: 0 }));
+    const lanes = [];
+    const bars = [];
+
+    // Earliest first, then longest, so long bars claim the top lanes
+    events
+        .map(e => {
+            const startDay = dayNumber(e.Start);
+            const endDay = dayNumber(e.End);
+            const last = columnDays.reduce((found, d, c) => (d <= endDay ? c : found), -1);
+            return { e, startDay, endDay, first: columnDays.findIndex(d => d >= startDay), last };
+        })
+        .filter(s => s.first >= 0 && s.first <= s.last && s.last >= minCol && s.first <= maxCol)
+        .sort((a, b) => a.first - b.first || (b.last - b.first) - (a.last - a.first) || a.e.Start - b.e.Start)
+        .forEach(({ e, startDay, endDay, first, last }) => {
+            const c0 = Math.max(first, minCol);
+            const c1 = Math.min(last, maxCol);
+            let lane = 0;
+            while (lanes[lane] && lanes[lane].slice(c0, c1 + 1).some(Boolean)) lane++;
+            if (!lanes[lane]) lanes[lane] = new Array(columns.length).fill(false);
+            for (let c = c0; c <= c1; c++) {
+                lanes[lane][c] = true;
+                perDay[c].events.push(e);
+                if (lane >= maxLanes) perDay[c].hidden++;
+            }
+            if (lane >= maxLanes) return;
+            bars.push({ e, lane, first: c0, last: c1, continuesBefore: startDay < columnDays[c0], continuesAfter: endDay > columnDays[c1] });
+        });
+    return { bars, perDay, laneCount: Math.min(lanes.length, maxLanes) };
+}
+
+// Timed events on one day, clipped to it. Minutes are wall-clock rather than elapsed time, so blocks line up
+// with the hour rows on DST change days.
+export function timedItems(day, events) {
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+    const minutesOf = ts => (ts >= dayEnd ? 24 * 60 : new Date(ts).getHours() * 60 + new Date(ts).getMinutes());
+    return events
+        .filter(e => e.Start.getTime() < dayEnd && (e.End.getTime() > dayStart || e.Start.getTime() >= dayStart))
+        .map(e => {
+            const from = Math.max(e.Start.getTime(), dayStart);
+            const to = Math.min(Math.max(e.End.getTime(), from + MIN_BLOCK_MINUTES * 60000), dayEnd);
+            return { e, from, to, fromMinute: minutesOf(from), toMinute: minutesOf(to), col: 0, columnCount: 1 };
+        })
+        .sort((a, b) => a.from - b.from || b.to - a.to);
+}
+
+// Events that overlap, directly or through each other, form a cluster whose members share the column width side
+// by side, each in the first sub-column free at its start. Sets col and columnCount on the sorted timedItems.
+export function packTimedColumns(items) {
+    let cluster = [];
+    let clusterEnd = 0;
+    const flush = () => {
+        const columnEnds = [];
+        cluster.forEach(item => {
+            item.col = columnEnds.findIndex(end => end <= item.from);
+            if (item.col < 0) { item.col = columnEnds.length; columnEnds.push(0); }
+            columnEnds[item.col] = item.to;
+        });
+        cluster.forEach(item => { item.columnCount = columnEnds.length; });
+        cluster = [];
+    };
+    items.forEach(item => {
+        if (cluster.length && item.from >= clusterEnd) flush();
+        cluster.push(item);
+        clusterEnd = Math.max(clusterEnd, item.to);
+    });
+    if (cluster.length) flush();
+    return items;
+}
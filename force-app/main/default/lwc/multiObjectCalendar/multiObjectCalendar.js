@@ -2,16 +2,67 @@ import { LightningElement, track, wire } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
 import { encodeDefaultFieldValues } from 'lightning/pageReferenceUtils';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningPrompt from 'lightning/prompt';
+import LightningConfirm from 'lightning/confirm';
 
 import getAllObjects from '@salesforce/apex/MultiCalendarController.getAllObjects';
 import getAllFields from '@salesforce/apex/MultiCalendarController.getAllFields';
 import getDateFields from '@salesforce/apex/MultiCalendarController.getDateFields';
 import getFlexibleTitleFields from '@salesforce/apex/MultiCalendarController.getFlexibleTitleFields'; 
 import getUserReferenceFields from '@salesforce/apex/MultiCalendarController.getUserReferenceFields';
+import getOwnerLabels from '@salesforce/apex/MultiCalendarController.getOwnerLabels';
+import getPicklistValues from '@salesforce/apex/MultiCalendarController.getPicklistValues';
 import getEvents from '@salesforce/apex/MultiCalendarController.getEvents';
+import getDailyCounts from '@salesforce/apex/MultiCalendarController.getDailyCounts';
+import updateEventDates from '@salesforce/apex/MultiCalendarController.updateEventDates';
+import getDetailFieldOptions from '@salesforce/apex/MultiCalendarController.getDetailFieldOptions';
+import deleteEventRecord from '@salesforce/apex/MultiCalendarController.deleteEventRecord';
+import getHolidays from '@salesforce/apex/MultiCalendarController.getHolidays';
+import getBusinessHours from '@salesforce/apex/MultiCalendarController.getBusinessHours';
+import getCalendarConfigs from '@salesforce/apex/MultiCalendarController.getCalendarConfigs';
+import saveCalendarConfig from '@salesforce/apex/MultiCalendarController.saveCalendarConfig';
+import deleteCalendarConfig from '@salesforce/apex/MultiCalendarController.deleteCalendarConfig';
+import setDefaultCalendarConfig from '@salesforce/apex/MultiCalendarController.setDefaultCalendarConfig';
+import importEvents from '@salesforce/apex/MultiCalendarController.importEvents';
+import USER_TIME_ZONE from '@salesforce/i18n/timeZone';
+import LOCALE from '@salesforce/i18n/locale';
+import FIRST_DAY_OF_WEEK from '@salesforce/i18n/firstDayOfWeek';
+import CURRENCY from '@salesforce/i18n/currency';
+import { buildCalendar, parseCalendar, expandSeries } from './icalendar';
+import { expandRecurrences, getHolidayRule, getSeriesRule } from './recurrence';
+import { matchColorRule } from './colorRules';
+import { MIN_BLOCK_MINUTES, packDayBars, packTimedColumns, timedItems } from './layout';
+import { toWallClock, fromWallClock, listTimeZones } from './timezone';
+import { LABELS, formatLabel } from './labels';
+import { BLANK_OPERATORS, isFilterComplete, validateFilterLogic } from './filterLogic';
 
 const ENABLE_LOGS = true;
 const SELECT_AT_CREATION_KEY = '__SELECT_AT_CREATION__';
+const SYSTEM_DATE_FIELDS = ['CreatedDate', 'LastModifiedDate'];
+const SLOT_MINUTES = 60;
+const RESIZE_SNAP_MINUTES = 15;
+const HOUR_HEIGHT = 50;
+const COLLAPSED_HOUR_HEIGHT = 12;
+const DAY_MS = 86400000;
+// Objects lightning-record-edit-form cannot load; these keep using the standard record pages
+const RECORD_FORM_UNSUPPORTED_OBJECTS = ['Event', 'Task'];
+const MAX_DETAIL_FIELDS = 5;
+const MAX_COLOR_RULES = 10;
+const DEFAULT_RULE_COLOR = '#ba0517';
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_RESULT_LIMIT = 50;
+// "Search all dates" looks this many days either side of the current date
+const SEARCH_WINDOW_DAYS = 365;
+const HOVER_CARD_WIDTH = 288;
+const IMPORT_HORIZON_DAYS = 365;
+const IMPORT_BATCH_SIZE = 200;
+const AGENDA_MAX_DAYS = 365;
+
+// Browser-local settings from before configurations were stored in Salesforce; imported once, then removed
+const LEGACY_STORAGE_KEYS = {
+    sources: 'multi_cal_sources', grid: 'multi_cal_grid', today: 'multi_cal_today',
+    maxRecords: 'multi_cal_max_records', creationObject: 'multi_cal_creation_obj'
+};
 
 const OBJECT_ICONS = {
     'Event': 'standard:event', 'Task': 'standard:task', 'Account': 'standard:account',
@@ -20,6 +71,69 @@ const OBJECT_ICONS = {
     'User': 'standard:user', 'Contract': 'standard:contract'
 };
 
+const CALENDAR_VIEW_OPTIONS = [
+    { label: LABELS.month, value: 'month' }, { label: LABELS.week, value: 'week' }, { label: LABELS.day, value: 'day' },
+    { label: LABELS.agenda, value: 'agenda' }, { label: LABELS.year, value: 'year' }, { label: LABELS.timeline, value: 'timeline' }
+];
+
+// @salesforce/i18n/firstDayOfWeek counts from 1 = Sunday; Date.getDay() from 0 = Sunday
+const LOCALE_WEEK_START = Math.max((parseInt(FIRST_DAY_OF_WEEK, 10) || 1) - 1, 0) % 7;
+
+const HEAT_LEVELS = 4;
+
+// How week and day views draw the hours outside the business hours
+const NON_WORKING_HOURS_OPTIONS = [
+    { label: LABELS.shadeHours, value: 'shade' }, { label: LABELS.collapseHours, value: 'collapse' }, { label: LABELS.hideHours, value: 'hide' }
+];
+const ORG_DEFAULT_BUSINESS_HOURS = '';
+const NO_BUSINESS_HOURS = 'none';
+
+const TIMELINE_SCALE_OPTIONS = [
+    { label: LABELS.day, value: 'day' }, { label: LABELS.week, value: 'week' }, { label: LABELS.month, value: 'month' }
+];
+const TIMELINE_LANE_HEIGHT = 24;
+const UNASSIGNED_GROUP_KEY = '__unassigned';
+
+const AGENDA_RANGE_OPTIONS = [
+    { label: formatLabel(LABELS.nextDays, 7), value: '7' }, { label: formatLabel(LABELS.nextDays, 30), value: '30' },
+    { label: formatLabel(LABELS.nextDays, 90), value: '90' }
+];
+
+const USER_SCOPE_OPTIONS = [
+    { label: LABELS.scopeMine, value: 'mine' },
+    { label: LABELS.scopeTeam, value: 'team' },
+    { label: LABELS.scopeSpecific, value: 'specific' },
+    { label: LABELS.scopeEveryone, value: 'everyone' }
+];
+
+const FILTER_OPERATOR_LABELS = {
+    equals: LABELS.opEquals, notEquals: LABELS.opNotEquals,
+    lessThan: LABELS.opLessThan, greaterThan: LABELS.opGreaterThan, lessOrEqual: LABELS.opLessOrEqual, greaterOrEqual: LABELS.opGreaterOrEqual,
+    contains: LABELS.opContains, startsWith: LABELS.opStartsWith, in: LABELS.opIn,
+    isBlank: LABELS.opIsBlank, isNotBlank: LABELS.opIsNotBlank
+};
+const DATE_TYPES = ['DATE', 'DATETIME'];
+const NUMBER_TYPES = ['DOUBLE', 'INTEGER', 'LONG', 'CURRENCY', 'PERCENT'];
+const PICKLIST_TYPES = ['PICKLIST', 'MULTIPICKLIST'];
+const LIKE_TYPES = ['STRING', 'TEXTAREA', 'PHONE', 'EMAIL', 'URL', 'COMBOBOX'];
+
+// SOQL relative date literals; the parameterized ones are stored as LITERAL:N
+const PARAMETERIZED_DATE_LITERALS = ['LAST_N_DAYS', 'NEXT_N_DAYS', 'N_DAYS_AGO', 'LAST_N_WEEKS', 'NEXT_N_WEEKS', 'LAST_N_MONTHS', 'NEXT_N_MONTHS', 'LAST_N_QUARTERS', 'NEXT_N_QUARTERS', 'LAST_N_YEARS', 'NEXT_N_YEARS'];
+const DATE_LITERAL_OPTIONS = [
+    { label: LABELS.dateSpecific, value: 'SPECIFIC' },
+    { label: LABELS.dateYesterday, value: 'YESTERDAY' }, { label: LABELS.dateToday, value: 'TODAY' }, { label: LABELS.dateTomorrow, value: 'TOMORROW' },
+    { label: LABELS.dateLastWeek, value: 'LAST_WEEK' }, { label: LABELS.dateThisWeek, value: 'THIS_WEEK' }, { label: LABELS.dateNextWeek, value: 'NEXT_WEEK' },
+    { label: LABELS.dateLastMonth, value: 'LAST_MONTH' }, { label: LABELS.dateThisMonth, value: 'THIS_MONTH' }, { label: LABELS.dateNextMonth, value: 'NEXT_MONTH' },
+    { label: LABELS.dateLastQuarter, value: 'LAST_QUARTER' }, { label: LABELS.dateThisQuarter, value: 'THIS_QUARTER' }, { label: LABELS.dateNextQuarter, value: 'NEXT_QUARTER' },
+    { label: LABELS.dateLastYear, value: 'LAST_YEAR' }, { label: LABELS.dateThisYear, value: 'THIS_YEAR' }, { label: LABELS.dateNextYear, value: 'NEXT_YEAR' },
+    { label: LABELS.dateThisFiscalQuarter, value: 'THIS_FISCAL_QUARTER' }, { label: LABELS.dateThisFiscalYear, value: 'THIS_FISCAL_YEAR' },
+    { label: LABELS.dateLastNDays, value: 'LAST_N_DAYS' }, { label: LABELS.dateNextNDays, value: 'NEXT_N_DAYS' }, { label: LABELS.dateNDaysAgo, value: 'N_DAYS_AGO' },
+    { label: LABELS.dateLastNWeeks, value: 'LAST_N_WEEKS' }, { label: LABELS.dateNextNWeeks, value: 'NEXT_N_WEEKS' },
+    { label: LABELS.dateLastNMonths, value: 'LAST_N_MONTHS' }, { label: LABELS.dateNextNMonths, value: 'NEXT_N_MONTHS' },
+    { label: LABELS.dateLastNQuarters, value: 'LAST_N_QUARTERS' }, { label: LABELS.dateNextNQuarters, value: 'NEXT_N_QUARTERS' },
+    { label: LABELS.dateLastNYears, value: 'LAST_N_YEARS' }, { label: LABELS.dateNextNYears, value: 'NEXT_N_YEARS' }
+];
+
 // Hardcoded defaults for standard object creation fields
 const DEFAULT_RECORD_FIELDS = {
     'Event': { start: 'StartDateTime', end: 'EndDateTime' },
@@ -33,14 +147,22 @@ const DEFAULT_RECORD_FIELDS = {
 
 
 export default class MultiObjectCalendar extends NavigationMixin(LightningElement) {
-    @track currentDate = new Date();
+    @track currentDate = toWallClock(new Date(), USER_TIME_ZONE);
     @track currentView = 'month'; 
     @track isSettingsOpen = false;
     @track currentSettingsTab = 'object';
     
     @track monthDays = [];
+    @track monthWeeks = [];
     @track weekDays = [];
     @track hours = [];
+    @track allDayCells = [];
+    @track allDayBars = [];
+    @track allDayMoreLinks = [];
+    @track allDayLaneStyle = '';
+    @track timedColumns = [];
+    @track holidayCells = [];
+    @track holidays = [];
 
     @track calendarSources = [];
     @track currentSource = {}; 
@@ -48,66 +170,435 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
 
     @track objectOptions = [];
     @track allFieldsOptions = []; 
+    @track detailFieldOptions = [];
     @track dateFieldOptions = [];
     @track userFieldOptions = [];
     @track titleFieldOptions = [];
     @track titleTypeOptions = [];
     @track filteredTitleOptions = []; 
 
+    @track picklistOptionsByField = {};
+
     @track selectedObjectIcon = 'standard:sobject';
 
     // Theme Settings
-    @track colorGridHighlight = localStorage.getItem('multi_cal_grid') || '#faffbd';
-    @track colorToday = localStorage.getItem('multi_cal_today') || '#ebf7ff';
-    @track maxRecordsPerDay = localStorage.getItem('multi_cal_max_records') ? parseInt(localStorage.getItem('multi_cal_max_records'), 10) : 4;
+    @track colorGridHighlight = '#faffbd';
+    @track colorToday = '#ebf7ff';
+    @track maxRecordsPerDay = 4;
+    @track defaultCalendarView = 'month';
+    @track agendaDays = 30;
+    @track displayTimeZone = ''; // '' = the user's Salesforce timezone
+    @track showTimeZoneSwitcher = false;
+    @track weekStart = ''; // '' = the locale's first day of week, otherwise '0' (Sunday) to '6'
+    @track businessHoursId = ORG_DEFAULT_BUSINESS_HOURS;
+    @track nonWorkingHours = 'shade';
+    @track hideWeekends = false;
+    @track showHolidays = true;
+    businessHoursList = [];
+    scrolledGridKey = null;
+    pendingScrollTop = null;
+    @track timelineScale = 'week';
 
     // Record Creation Settings
-    @track selectedCreationObject = localStorage.getItem('multi_cal_creation_obj') || SELECT_AT_CREATION_KEY;
+    @track selectedCreationObject = SELECT_AT_CREATION_KEY;
     @track showCreationModal = false;
     @track clickedGridDate = null;
+    @track quickForm = null;
+    @track hoverCard = null;
 
     @track rawEvents = [];
+
+    // Saved Views (server-side configurations)
+    @track personalViews = [];
+    @track activeViewId = null;
+    @track activeConfigName = LABELS.myCalendar;
+    @track isUsingSharedConfig = false;
+    @track sharedConfigs = [];
+    @track canPublishSharedConfigs = false;
+    @track publishConfigName = '';
+    isConfigDirty = false;
+    pendingSave = Promise.resolve();
     
     // Shared Popover State
     @track isPopoverOpen = false;
     @track popoverLabel = '';
     @track popoverEvents = [];
     @track popoverStyle = '';
+
+    // Agenda State: the range grows by agendaDays each time more is loaded
+    @track agendaGroups = [];
+    @track agendaPages = 1;
+    @track isAgendaLoading = false;
+
+    // Year View State: { 'YYYY-MM-DD': { total, sources: [{ label, count }] } }
+    @track yearCounts = {};
+    // Sources hidden from the legend for this session only; they stay loaded so showing them again is instant
+    @track hiddenSourceIds = [];
+    @track yearMonths = [];
+
+    // Timeline State
+    @track timelineColumns = [];
+    @track timelineRows = [];
+
+    // ICS Import State
+    @track isImportOpen = false;
+    @track importRows = [];
+    @track importWarnings = [];
+    @track importSourceId = null;
+    @track isImporting = false;
+
+    // Fetched events per visible range, keyed by getRangeKey()
+    eventCache = new Map();
+    holidayCache = new Map();
+
+    // Search: matches among the loaded events, plus those found by a server search over SEARCH_WINDOW_DAYS
+    searchTerm = '';
+    isSearchListOpen = false;
+    isServerSearching = false;
+    @track serverSearchResults = null;
+    highlightedEventId = null;
+    pendingHighlightScroll = false;
+
+    // Drag & Drop / Resize State
+    draggedEventId = null;
+    resizeState = null;
+    dropTargetEl = null;
     
-    monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
-    daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    labels = LABELS;
+
+    // Month and weekday names come from the user's locale; weekdays are listed from the first day of the week
+    get monthNames() { return Array.from({ length: 12 }, (v, m) => new Date(2000, m, 1).toLocaleDateString(LOCALE, { month: 'long' })); }
+    get daysOfWeek() { return this.orderedWeekdays.map(day => this.weekdayName(day, 'short')); }
+    get orderedWeekdays() { return Array.from({ length: 7 }, (v, i) => (this.firstDayOfWeek + i) % 7); }
+    get firstDayOfWeek() { return this.weekStart === '' ? LOCALE_WEEK_START : parseInt(this.weekStart, 10); }
+    get weekStartOptions() {
+        return [{ label: formatLabel(LABELS.localeDefault, this.weekdayName(LOCALE_WEEK_START, 'long')), value: '' }]
+            .concat([0, 1, 2, 3, 4, 5, 6].map(day => ({ label: this.weekdayName(day, 'long'), value: String(day) })));
+    }
+
+    // 7 Jan 2024 was a Sunday
+    weekdayName(day, style) { return new Date(2024, 0, 7 + day).toLocaleDateString(LOCALE, { weekday: style }); }
+
+    // Columns a date sits from the start of its week
+    weekOffset(date) { return (date.getDay() - this.firstDayOfWeek + 7) % 7; }
+
+    formatHour(hour) { return new Date(2000, 0, 1, hour).toLocaleTimeString(LOCALE, { hour: 'numeric' }); }
+
+    formatTime(date) { return date.toLocaleTimeString(LOCALE, { hour: 'numeric', minute: '2-digit' }); }
     defaultColors = { grid: '#faffbd', today: '#ebf7ff', maxRecords: 4 };
+    userScopeOptions = USER_SCOPE_OPTIONS;
+    queuePickerFilter = { criteria: [{ fieldPath: 'Type', operator: 'eq', value: 'Queue' }] };
+    dateLiteralOptions = DATE_LITERAL_OPTIONS;
+    calendarViewOptions = CALENDAR_VIEW_OPTIONS;
+    agendaRangeOptions = AGENDA_RANGE_OPTIONS;
+    timelineScaleOptions = TIMELINE_SCALE_OPTIONS;
+    nonWorkingHoursOptions = NON_WORKING_HOURS_OPTIONS;
+    maxDetailFields = MAX_DETAIL_FIELDS;
 
     connectedCallback() {
-        this.loadSettings();
         this.renderView(); 
-        this.refreshCalendar(); 
+        this.loadConfiguration(); 
     }
 
-    renderedCallback() { this.applyTheme(); }
+    disconnectedCallback() { this.stopResizeTracking(); }
+
+    renderedCallback() {
+        this.applyTheme();
+        this.scrollToWorkingDay();
+        this.scrollToHighlight();
+    }
     log(msg, data) { if (ENABLE_LOGS) console.log(`[MULTI-CAL] ${msg}`, data ? JSON.parse(JSON.stringify(data)) : ''); }
 
-    get currentMonthYear() { return `${this.monthNames[this.currentDate.getMonth()]} ${this.currentDate.getFullYear()}`; }
+    get currentMonthYear() {
+        if (this.isYearView) return String(this.currentDate.getFullYear());
+        if (this.isAgendaView) {
+            const { start, end } = this.getVisibleRange();
+            const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+            const options = { month: 'short', day: 'numeric', year: 'numeric' };
+            return `${start.toLocaleDateString(LOCALE, options)} – ${last.toLocaleDateString(LOCALE, options)}`;
+        }
+        return this.currentDate.toLocaleDateString(LOCALE, { month: 'long', year: 'numeric' });
+    }
     get isMonthView() { return this.currentView === 'month'; }
     get isWeekView() { return this.currentView === 'week'; }
+    get isTimeGridView() { return this.currentView === 'week' || this.currentView === 'day'; }
+    get hasHolidayRow() { return this.holidayCells.some(c => c.holidays.length); }
+    get timeGridClass() { return this.isWeekView ? 'calendar-grid-week' : 'calendar-grid-day'; }
     get isDayView() { return this.currentView === 'day'; }
+    get isAgendaView() { return this.currentView === 'agenda'; }
+    get isYearView() { return this.currentView === 'year'; }
+    get isTimelineView() { return this.currentView === 'timeline'; }
     get monthBtnVariant() { return this.currentView === 'month' ? 'brand' : 'neutral'; }
     get weekBtnVariant() { return this.currentView === 'week' ? 'brand' : 'neutral'; }
     get dayBtnVariant() { return this.currentView === 'day' ? 'brand' : 'neutral'; }
+    get agendaBtnVariant() { return this.currentView === 'agenda' ? 'brand' : 'neutral'; }
+    get yearBtnVariant() { return this.currentView === 'year' ? 'brand' : 'neutral'; }
+    get timelineBtnVariant() { return this.currentView === 'timeline' ? 'brand' : 'neutral'; }
+    get hasTimelineRows() { return this.timelineRows.length > 0; }
+    get timelineGroupOptions() {
+        return [{ label: LABELS.sameAsUserField, value: '' }].concat(
+            this.allFieldsOptions.filter(f => f.type === 'REFERENCE' || f.type === 'PICKLIST')
+        );
+    }
+    get yearWeekdayLabels() { return this.orderedWeekdays.map(day => ({ id: `yw-${day}`, label: this.weekdayName(day, 'narrow') })); }
+    get hasAgendaGroups() { return this.agendaGroups.length > 0; }
+    get agendaDaysValue() { return String(this.agendaDays); }
+    get canLoadMoreAgenda() { return this.agendaDays * this.agendaPages < AGENDA_MAX_DAYS; }
     
     get objectTabClass() { return `slds-vertical-tabs__nav-item ${this.currentSettingsTab === 'object' ? 'slds-is-active' : ''}`; }
     get themeTabClass() { return `slds-vertical-tabs__nav-item ${this.currentSettingsTab === 'theme' ? 'slds-is-active' : ''}`; }
+    get sharingTabClass() { return `slds-vertical-tabs__nav-item ${this.currentSettingsTab === 'sharing' ? 'slds-is-active' : ''}`; }
+    get isSharingTab() { return this.currentSettingsTab === 'sharing'; }
+    get hasSharedConfigs() { return this.sharedConfigs.length > 0; }
+    get viewOptions() {
+        const options = [...this.personalViews]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(v => ({ label: v.isDefault ? formatLabel(LABELS.defaultView, v.name) : v.name, value: v.id }));
+        this.sharedConfigs.forEach(c => options.push({ label: formatLabel(LABELS.sharedView, c.name), value: c.id }));
+        return options;
+    }
+    get importSourceOptions() {
+        return this.calendarSources.filter(s => s.startField).map(s => ({ label: s.objectLabel, value: String(s.id) }));
+    }
+    get hasImportRows() { return this.importRows.length > 0; }
+    get importSelectedCount() { return this.importRows.filter(r => r.selected && !r.imported).length; }
+    get importButtonLabel() { return formatLabel(LABELS.importButton, this.importSelectedCount); }
+    get disableImport() { return this.isImporting || !this.importSourceId || !this.importSelectedCount; }
+    get hasImportWarnings() { return this.importWarnings.length > 0; }
+    get hasViewOptions() { return this.viewOptions.length > 0; }
+    get activeView() { return this.personalViews.find(v => v.id === this.activeViewId); }
+    get disablePersonalViewActions() { return this.isUsingSharedConfig || !this.activeView; }
+    get disableSetDefaultView() { return this.disablePersonalViewActions || this.activeView.isDefault; }
+    get activeConfigDescription() {
+        return this.isUsingSharedConfig
+            ? formatLabel(LABELS.usingSharedConfig, this.activeConfigName)
+            : formatLabel(LABELS.usingPersonalConfig, this.activeConfigName);
+    }
     get creationTabClass() { return `slds-vertical-tabs__nav-item ${this.currentSettingsTab === 'creation' ? 'slds-is-active' : ''}`; }
     get isObjectTab() { return this.currentSettingsTab === 'object'; }
     get isThemeTab() { return this.currentSettingsTab === 'theme'; }
     get isCreationTab() { return this.currentSettingsTab === 'creation'; }
 
     get disableAddFilter() { return this.currentSource.filters && this.currentSource.filters.length >= 5; }
+    // Filter rows decorated with the operator list and value input that fit the field type and operator
+    get filterRows() {
+        return (this.currentSource.filters || []).map((f, index) => {
+            const type = f.type || 'STRING';
+            const operator = f.operator || 'equals';
+            const isPicklist = PICKLIST_TYPES.includes(type);
+            const isDate = DATE_TYPES.includes(type);
+            const isMulti = operator === 'in';
+            const showValue = !BLANK_OPERATORS.includes(operator);
+            const dateParts = this.parseDateFilterValue(f.value);
+            return {
+                ...f,
+                index, operator,
+                operatorOptions: this.getOperatorsForType(type).map(op => ({ label: FILTER_OPERATOR_LABELS[op], value: op })),
+                showInput: showValue && !isPicklist && !isDate,
+                showPicklistSingle: showValue && isPicklist && !isMulti,
+                showPicklistMulti: showValue && isPicklist && isMulti,
+                showDate: showValue && isDate,
+                picklistOptions: this.picklistOptionsByField[`${this.currentSource.objectName}.${f.field}`] || [],
+                multiValue: Array.isArray(f.value) ? f.value : [],
+                inputType: isMulti ? 'text' : this.getFilterInputType(type),
+                placeholder: isMulti ? LABELS.commaSeparated : '',
+                dateMode: dateParts.mode, dateValue: dateParts.date, dateN: dateParts.n,
+                isSpecificDate: dateParts.mode === 'SPECIFIC',
+                isParameterizedDate: PARAMETERIZED_DATE_LITERALS.includes(dateParts.mode)
+            };
+        });
+    }
+
+    get disableAddColorRule() { return (this.currentSource.colorRules || []).length >= MAX_COLOR_RULES; }
+    // Color rules share the filter operators; date rules compare against a specific date only
+    get colorRuleRows() {
+        const rules = this.currentSource.colorRules || [];
+        return rules.map((r, index) => {
+            const type = r.type || 'STRING';
+            const isPicklist = PICKLIST_TYPES.includes(type);
+            const isMulti = r.operator === 'in';
+            const showValue = !BLANK_OPERATORS.includes(r.operator);
+            return {
+                ...r,
+                index, number: index + 1,
+                operatorOptions: this.getOperatorsForType(type).map(op => ({ label: FILTER_OPERATOR_LABELS[op], value: op })),
+                showInput: showValue && !isPicklist,
+                showPicklistSingle: showValue && isPicklist && !isMulti,
+                showPicklistMulti: showValue && isPicklist && isMulti,
+                picklistOptions: this.picklistOptionsByField[`${this.currentSource.objectName}.${r.field}`] || [],
+                multiValue: Array.isArray(r.value) ? r.value : [],
+                inputType: isMulti ? 'text' : (DATE_TYPES.includes(type) ? 'date' : this.getFilterInputType(type)),
+                placeholder: isMulti ? LABELS.commaSeparated : '',
+                isFirst: index === 0, isLast: index === rules.length - 1
+            };
+        });
+    }
+
+    // One entry per active source with color rules: each complete rule in evaluation order, then the source color
+    get colorLegend() {
+        return this.calendarSources
+            .filter(s => s.isActive !== false && !this.isSourceHidden(s.id) && (s.colorRules || []).some(r => isFilterComplete(r)))
+            .map(s => ({
+                key: String(s.id),
+                label: s.objectLabel,
+                items: [
+                    ...s.colorRules.filter(r => isFilterComplete(r)).map(r => ({
+                        key: String(r.id), label: this.describeColorRule(r), iconName: r.iconName,
+                        swatchStyle: `background-color: ${r.color};`
+                    })),
+                    { key: 'fallback', label: LABELS.otherRecords, swatchStyle: `background-color: ${s.color};` }
+                ]
+            }));
+    }
+    get hasColorLegend() { return this.colorLegend.length > 0; }
+
+    // One toggle per active source with its event count in the visible range
+    get sourceLegend() {
+        const { start, end } = this.getVisibleRange();
+        const counts = new Map();
+        if (this.currentView === 'year') {
+            Object.values(this.yearCounts).forEach(entry => entry.sources.forEach(c => counts.set(c.id, (counts.get(c.id) || 0) + c.count)));
+        } else {
+            this.rawEvents.filter(e => e.Start < end && e.End >= start).forEach(e => counts.set(e.SourceId, (counts.get(e.SourceId) || 0) + 1));
+        }
+        return this.calendarSources.filter(s => s.isActive !== false).map(s => {
+            const hidden = this.isSourceHidden(s.id);
+            return {
+                id: String(s.id), label: s.objectLabel, count: counts.get(s.id) || 0,
+                iconName: OBJECT_ICONS[s.objectName] || 'standard:sobject',
+                swatchStyle: `background-color: ${s.color};`,
+                class: `source-legend-item${hidden ? ' is-hidden' : ''}`,
+                pressed: String(!hidden)
+            };
+        });
+    }
+
+    // --- SEARCH ---
+    get isSearchActive() { return this.searchTerm.trim().length >= SEARCH_MIN_LENGTH; }
+    get showSearchResults() { return this.isSearchListOpen && this.isSearchActive; }
+    get hasSearchResults() { return this.searchResults.length > 0; }
+
+    // Loaded matches and server matches outside the loaded range, earliest first
+    get searchResults() {
+        if (!this.isSearchActive) return [];
+        const loaded = this.visibleEvents.filter(e => this.matchesSearch(e));
+        const loadedIds = new Set(loaded.flatMap(e => [e.Id, e.SeriesId]));
+        const remote = (this.serverSearchResults || []).filter(e => !loadedIds.has(e.Id) && !this.isSourceHidden(e.SourceId));
+        const labels = new Map(this.calendarSources.map(s => [s.id, s.objectLabel]));
+        return [...loaded, ...remote]
+            .sort((a, b) => a.Start - b.Start)
+            .slice(0, SEARCH_RESULT_LIMIT)
+            .map(e => ({
+                Id: e.Id, Title: e.Title, iconName: e.iconName, objectLabel: labels.get(e.SourceId),
+                swatchStyle: `background-color: ${e.Color};`, dateLabel: this.formatEventRange(e)
+            }));
+    }
+
+    // Case-insensitive match on the title and the hover card values as they are displayed
+    matchesSearch(e) {
+        const term = this.searchTerm.trim().toLowerCase();
+        return [e.Title, ...(e.Details || []).map(d => d.value)].some(v => String(v).toLowerCase().includes(term));
+    }
+
+    // Extra chip classes: the result picked last is highlighted, chips not matching an active search are dimmed
+    searchClass(e) {
+        if (e.Id === this.highlightedEventId) return ' search-highlight';
+        if (!this.isSearchActive || this.matchesSearch(e)) return '';
+        return ' search-dimmed';
+    }
+
+    handleSearchChange(event) {
+        this.searchTerm = event.detail.value || '';
+        this.serverSearchResults = null;
+        this.isSearchListOpen = true;
+        this.highlightedEventId = null;
+        this.pendingHighlightScroll = false;
+        this.renderView();
+    }
+
+    handleSearchFocus() { this.isSearchListOpen = true; }
+    handleSearchKeydown(event) { if (event.key === 'Escape') this.isSearchListOpen = false; }
+    closeSearchResults() { this.isSearchListOpen = false; }
+
+    handleSearchResultKeydown(event) {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        this.handleSearchResultSelect(event);
+    }
+
+    // Moves to the picked event and highlights it; the year view has no chips, so it opens the month instead
+    handleSearchResultSelect(event) {
+        const id = event.currentTarget.dataset.id;
+        const evt = this.rawEvents.find(e => e.Id === id) || (this.serverSearchResults || []).find(e => e.Id === id);
+        if (!evt) return;
+        this.isSearchListOpen = false;
+        this.highlightedEventId = evt.Id;
+        this.pendingHighlightScroll = true;
+        this.currentDate = new Date(evt.Start.getFullYear(), evt.Start.getMonth(), evt.Start.getDate());
+        if (this.isYearView) this.currentView = 'month';
+        this.loadVisibleRange();
+    }
+
+    // Runs the search on the server for every active source, so records outside the loaded range are found too
+    async searchAllDates() {
+        const searchTerm = this.searchTerm.trim();
+        const d = this.currentDate;
+        const range = {
+            start: new Date(d.getFullYear(), d.getMonth(), d.getDate() - SEARCH_WINDOW_DAYS),
+            end: new Date(d.getFullYear(), d.getMonth(), d.getDate() + SEARCH_WINDOW_DAYS)
+        };
+        const failures = [];
+        this.isServerSearching = true;
+        const results = await Promise.all(this.calendarSources.filter(s => s.isActive !== false).map(source =>
+            this.fetchSourceEvents(source, range, null, searchTerm).catch(error => {
+                failures.push(`${source.objectLabel}: ${this.reduceError(error)}`);
+                return [];
+            })
+        ));
+        this.isServerSearching = false;
+        if (failures.length) this.showToast(LABELS.searchFailed, failures.join('\n'), 'error');
+        if (searchTerm !== this.searchTerm.trim()) return;
+        this.serverSearchResults = results.flat().filter(e => !e.IsExclusion);
+    }
+
+    isSourceHidden(sourceId) { return this.hiddenSourceIds.includes(String(sourceId)); }
+
+    // Events of the sources not hidden in the legend; every view renders from these
+    get visibleEvents() { return this.rawEvents.filter(e => !this.isSourceHidden(e.SourceId)); }
+
+    // Click shows or hides one source, Alt-click shows only that source (or everything again if it already is the only one)
+    handleLegendClick(event) {
+        const id = event.currentTarget.dataset.id;
+        const others = this.calendarSources.filter(s => s.isActive !== false && String(s.id) !== id).map(s => String(s.id));
+        if (event.altKey) {
+            const isSolo = !this.hiddenSourceIds.includes(id) && others.every(o => this.hiddenSourceIds.includes(o));
+            this.hiddenSourceIds = isSolo ? [] : others;
+        } else {
+            this.hiddenSourceIds = this.hiddenSourceIds.includes(id) ? this.hiddenSourceIds.filter(h => h !== id) : [...this.hiddenSourceIds, id];
+        }
+        this.hoverCard = null;
+        this.renderView();
+    }
+
+    describeColorRule(rule) {
+        if (rule.label) return rule.label;
+        const value = Array.isArray(rule.value) ? rule.value.join(', ') : String(rule.value);
+        return `${rule.fieldLabel || rule.field} ${FILTER_OPERATOR_LABELS[rule.operator]}${BLANK_OPERATORS.includes(rule.operator) ? '' : ` ${value}`}`;
+    }
+
+    get hasUserField() { return !!this.currentSource.userField; }
+    get currentUserScope() { return this.currentSource.userScope || 'mine'; }
+    get isSpecificUserScope() { return this.hasUserField && this.currentUserScope === 'specific'; }
+    get specificOwnerPills() {
+        return (this.currentSource.specificOwners || []).map(o => ({
+            label: o.label, name: o.value, iconName: o.type === 'Queue' ? 'standard:queue' : 'standard:user'
+        }));
+    }
 
     get creationRadioOptions() {
-        const options = [{ label: 'Decide on click (opens selection popup)', value: SELECT_AT_CREATION_KEY }];
+        const options = [{ label: LABELS.decideOnClick, value: SELECT_AT_CREATION_KEY }];
         this.calendarSources.filter(s => s.isActive !== false).forEach(s => {
-             options.push({ label: `Always create ${s.objectLabel}`, value: s.objectName });
+             options.push({ label: formatLabel(LABELS.alwaysCreate, s.objectLabel), value: s.objectName });
         });
         return options;
     }
@@ -129,19 +620,41 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         }
     }
 
+    @wire(getBusinessHours)
+    wiredBusinessHours({ error, data }) {
+        if (data) {
+            this.businessHoursList = data;
+            if (this.isTimeGridView) this.renderView();
+        } else if (error) {
+            console.error(error);
+        }
+    }
+
+    get businessHoursOptions() {
+        return [{ label: LABELS.orgDefault, value: ORG_DEFAULT_BUSINESS_HOURS }, { label: LABELS.none, value: NO_BUSINESS_HOURS }]
+            .concat(this.businessHoursList.map(b => ({ label: b.name, value: b.id })));
+    }
+
+    get activeBusinessHours() {
+        if (this.businessHoursId === NO_BUSINESS_HOURS) return null;
+        return this.businessHoursList.find(b => b.id === this.businessHoursId) || this.businessHoursList.find(b => b.isDefault) || null;
+    }
+
     async fetchMetadataForSource(objectName) {
         if(!objectName) return;
         try {
-            const [dateFields, userFields, titleFields, allFields] = await Promise.all([
+            const [dateFields, userFields, titleFields, allFields, detailFields] = await Promise.all([
                 getDateFields({ objectName }),
                 getUserReferenceFields({ objectName }),
                 getFlexibleTitleFields({ objectName }),
-                getAllFields({ objectName })
+                getAllFields({ objectName }),
+                getDetailFieldOptions({ objectName })
             ]);
 
             this.dateFieldOptions = dateFields;
             this.userFieldOptions = userFields;
             this.allFieldsOptions = [...allFields].sort((a,b) => a.label.localeCompare(b.label));
+            this.detailFieldOptions = [...detailFields].sort((a,b) => a.label.localeCompare(b.label));
             
             let rawTitles = [...titleFields];
             let types = new Set();
@@ -153,6 +666,10 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
             
             this.selectedObjectIcon = OBJECT_ICONS[objectName] || 'standard:sobject';
 
+            [...(this.currentSource.filters || []), ...(this.currentSource.colorRules || [])]
+                .filter(f => PICKLIST_TYPES.includes(f.type))
+                .forEach(f => this.loadPicklistOptions(objectName, f.field));
+
         } catch (error) { console.error(error); }
     }
 
@@ -163,8 +680,10 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
             objectName: '', objectLabel: '', 
             startField: 'CreatedDate', endField: '',
             titleType: 'ID', titleField: 'Id',
-            userField: '', color: '#0176d3', 
-            filters: [], filterLogic: ''
+            userField: '', userScope: 'mine', specificOwners: [],
+            color: '#0176d3', 
+            filters: [], filterLogic: '',
+            colorRules: []
         };
         this.selectedObjectIcon = 'standard:sobject';
         this.isEditingSource = true;
@@ -194,6 +713,15 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         this.saveAllSettings();
     }
 
+    // The built-in holiday layer is switched on and off like a source
+    toggleHolidays(event) {
+        this.showHolidays = event.target.checked;
+        this.holidayCache.clear();
+        this.saveAllSettings();
+    }
+
+    get holidaySwatchStyle() { return `display:block; width:24px; height:24px; border-radius:4px; background-color:#fdeceb; border:1px solid #ea001e; opacity: ${this.showHolidays ? 1 : 0.4}`; }
+
     deleteSource(event) {
         const sourceId = event.currentTarget.dataset.id;
         let raw = JSON.parse(JSON.stringify(this.calendarSources));
@@ -210,7 +738,16 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
 
     saveCurrentSource() {
         if (!this.currentSource.objectName || !this.currentSource.startField || !this.currentSource.titleField) {
-            this.showToast('Missing Fields', 'Please select Object, Start Date, and Title Field.', 'error');
+            this.showToast(LABELS.missingFields, LABELS.missingFieldsMessage, 'error');
+            return;
+        }
+        const filterLogicError = this.reportFilterLogicValidity();
+        if (filterLogicError) {
+            this.showToast(LABELS.invalidFilterLogic, filterLogicError, 'error');
+            return;
+        }
+        if (this.isSpecificUserScope && !(this.currentSource.specificOwners || []).length) {
+            this.showToast(LABELS.missingUsers, LABELS.missingUsersMessage, 'error');
             return;
         }
         let newSources = JSON.parse(JSON.stringify(this.calendarSources));
@@ -249,33 +786,268 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         }
     }
 
-    loadSettings() {
-        const stored = localStorage.getItem('multi_cal_sources');
-        let rawSources = [];
-        if (stored) { try { rawSources = JSON.parse(stored); } catch(e) { rawSources = []; } }
-        this.calendarSources = this.processSourcesForDisplay(rawSources);
-        
+    // Default (or most recent) personal view first, then a one-time import of browser settings, then the newest shared view
+    async loadConfiguration() {
+        try {
+            const result = await getCalendarConfigs();
+            this.personalViews = result.personal;
+            this.sharedConfigs = result.shared;
+            this.canPublishSharedConfigs = result.canPublish;
+            if (result.personal.length) {
+                this.applyConfig(result.personal.find(v => v.isDefault) || result.personal[0], false);
+            } else if (localStorage.getItem(LEGACY_STORAGE_KEYS.sources) !== null) {
+                await this.importLegacyConfig();
+            } else if (result.shared.length) {
+                this.applyConfig(result.shared[0], true);
+            }
+        } catch (error) {
+            console.error(error);
+            this.showToast(LABELS.configUnavailable, this.reduceError(error), 'error');
+        }
+        this.eventCache.clear();
+        this.refreshCalendar();
+    }
+
+    applyConfig(config, isShared) {
+        let payload = {};
+        try { payload = JSON.parse(config.configJson || '{}'); } catch (error) { console.error(error); }
+        this.activeViewId = config.id;
+        this.activeConfigName = config.name;
+        this.isUsingSharedConfig = isShared;
+        this.applyConfigPayload(payload);
+        this.currentView = this.defaultCalendarView;
+    }
+
+    applyConfigPayload(payload) {
+        this.calendarSources = this.processSourcesForDisplay(Array.isArray(payload.sources) ? payload.sources : []);
+        this.colorGridHighlight = payload.colorGridHighlight || this.defaultColors.grid;
+        this.colorToday = payload.colorToday || this.defaultColors.today;
+        this.maxRecordsPerDay = parseInt(payload.maxRecordsPerDay, 10) || this.defaultColors.maxRecords;
+        this.selectedCreationObject = payload.selectedCreationObject || SELECT_AT_CREATION_KEY;
+        this.defaultCalendarView = payload.defaultCalendarView || 'month';
+        this.agendaDays = parseInt(payload.agendaDays, 10) || 30;
+        this.timelineScale = payload.timelineScale || 'week';
+        this.displayTimeZone = payload.displayTimeZone || '';
+        this.showTimeZoneSwitcher = !!payload.showTimeZoneSwitcher;
+        this.weekStart = payload.weekStart === undefined || payload.weekStart === null ? '' : String(payload.weekStart);
+        this.businessHoursId = payload.businessHoursId || ORG_DEFAULT_BUSINESS_HOURS;
+        this.nonWorkingHours = payload.nonWorkingHours || 'shade';
+        this.hideWeekends = !!payload.hideWeekends;
+        this.showHolidays = payload.showHolidays !== false;
+
         if (this.selectedCreationObject !== SELECT_AT_CREATION_KEY) {
             const exists = this.calendarSources.some(s => s.objectName === this.selectedCreationObject && s.isActive !== false);
-            if (!exists) {
-                this.selectedCreationObject = SELECT_AT_CREATION_KEY;
-                localStorage.setItem('multi_cal_creation_obj', SELECT_AT_CREATION_KEY);
-            }
+            if (!exists) this.selectedCreationObject = SELECT_AT_CREATION_KEY;
         }
+        this.applyTheme();
+    }
+
+    buildConfigPayload() {
+        return {
+            sources: this.calendarSources.map(s => {
+                const rest = { ...s };
+                delete rest.colorStyle;
+                return rest;
+            }),
+            colorGridHighlight: this.colorGridHighlight,
+            colorToday: this.colorToday,
+            maxRecordsPerDay: parseInt(this.maxRecordsPerDay, 10) || this.defaultColors.maxRecords,
+            selectedCreationObject: this.selectedCreationObject,
+            defaultCalendarView: this.defaultCalendarView,
+            agendaDays: this.agendaDays,
+            timelineScale: this.timelineScale,
+            displayTimeZone: this.displayTimeZone,
+            showTimeZoneSwitcher: this.showTimeZoneSwitcher,
+            weekStart: this.weekStart,
+            businessHoursId: this.businessHoursId,
+            nonWorkingHours: this.nonWorkingHours,
+            hideWeekends: this.hideWeekends,
+            showHolidays: this.showHolidays
+        };
     }
 
-    saveAllSettings() {
-        const rawData = this.calendarSources.map(s => {
-            let { colorStyle, ...rest } = s; 
-            return rest;
+    async importLegacyConfig() {
+        let sources = [];
+        try { sources = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.sources)) || []; } catch (error) { console.error(error); }
+        this.applyConfigPayload({
+            sources,
+            colorGridHighlight: localStorage.getItem(LEGACY_STORAGE_KEYS.grid),
+            colorToday: localStorage.getItem(LEGACY_STORAGE_KEYS.today),
+            maxRecordsPerDay: localStorage.getItem(LEGACY_STORAGE_KEYS.maxRecords),
+            selectedCreationObject: localStorage.getItem(LEGACY_STORAGE_KEYS.creationObject)
         });
-        localStorage.setItem('multi_cal_sources', JSON.stringify(rawData));
-        localStorage.setItem('multi_cal_grid', this.colorGridHighlight);
-        localStorage.setItem('multi_cal_today', this.colorToday);
-        localStorage.setItem('multi_cal_max_records', this.maxRecordsPerDay);
+        if (await this.persistConfiguration()) {
+            Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+            this.showToast(LABELS.calendarImported, LABELS.calendarImportedMessage, 'success');
+        }
+    }
+
+    // Writes the active personal view; editing a shared view saves it as a new personal view. Saves run one at a
+    // time, so a change made while a save is in flight updates the record that save created instead of adding another.
+    persistConfiguration(asNewView = false) {
+        this.pendingSave = this.pendingSave.then(() => this.saveConfiguration(asNewView));
+        return this.pendingSave;
+    }
+
+    // View-only changes (timezone, agenda range, timeline scale, creation object) are kept for the session when a
+    // shared view is active rather than copying it into a personal view
+    persistViewChange() {
+        if (!this.isUsingSharedConfig) this.persistConfiguration();
+    }
+
+    async saveConfiguration(asNewView) {
+        try {
+            const configJson = JSON.stringify(this.buildConfigPayload());
+            const savedId = await saveCalendarConfig({
+                configId: asNewView || this.isUsingSharedConfig ? null : this.activeViewId,
+                name: this.activeConfigName,
+                configJson,
+                isShared: false
+            });
+            const existing = this.personalViews.find(v => v.id === savedId);
+            this.personalViews = existing
+                ? this.personalViews.map(v => (v.id === savedId ? { ...v, configJson, name: this.activeConfigName } : v))
+                : [...this.personalViews, { id: savedId, name: this.activeConfigName, configJson, isDefault: false, isShared: false }];
+            this.activeViewId = savedId;
+            this.isUsingSharedConfig = false;
+            this.isConfigDirty = false;
+            return true;
+        } catch (error) {
+            this.showToast(LABELS.configNotSaved, this.reduceError(error), 'error');
+            return false;
+        }
+    }
+
+    async saveAllSettings() {
+        this.eventCache.clear();
         this.refreshCalendar();
         this.applyTheme();
-        this.showToast('Success', 'Configuration Saved', 'success');
+        if (await this.persistConfiguration()) this.showToast(LABELS.success, LABELS.configSaved, 'success');
+    }
+
+    handleApplySharedConfig(event) {
+        const config = this.sharedConfigs.find(c => c.id === event.currentTarget.dataset.id);
+        if (!config) return;
+        this.applyConfig(config, true);
+        this.eventCache.clear();
+        this.loadVisibleRange();
+    }
+
+    // --- SAVED VIEWS ---
+    handleViewChange(event) {
+        const viewId = event.detail.value;
+        const personal = this.personalViews.find(v => v.id === viewId);
+        const config = personal || this.sharedConfigs.find(c => c.id === viewId);
+        if (!config) return;
+        this.applyConfig(config, !personal);
+        this.eventCache.clear();
+        this.loadVisibleRange();
+    }
+
+    handleViewMenuSelect(event) {
+        const action = event.detail.value;
+        if (action === 'new') this.createView();
+        else if (action === 'rename') this.renameView();
+        else if (action === 'duplicate') this.duplicateView();
+        else if (action === 'default') this.setDefaultView();
+        else if (action === 'delete') this.deleteView();
+    }
+
+    async promptViewName(label, defaultValue) {
+        const name = await LightningPrompt.open({ message: LABELS.viewName, label, defaultValue });
+        return name ? name.trim().substring(0, 80) : null;
+    }
+
+    async createView() {
+        const name = await this.promptViewName(LABELS.newView, '');
+        if (!name) return;
+        this.applyConfigPayload({});
+        await this.saveAsNewView(name);
+    }
+
+    async duplicateView() {
+        const name = await this.promptViewName(LABELS.duplicateView, formatLabel(LABELS.copyOf, this.activeConfigName));
+        if (!name) return;
+        await this.saveAsNewView(name);
+    }
+
+    async saveAsNewView(name) {
+        this.activeConfigName = name;
+        if (await this.persistConfiguration(true)) {
+            this.currentView = this.defaultCalendarView;
+            this.eventCache.clear();
+            this.loadVisibleRange();
+            this.showToast(LABELS.viewSaved, formatLabel(LABELS.viewSavedMessage, name), 'success');
+        }
+    }
+
+    async renameView() {
+        const name = await this.promptViewName(LABELS.renameView, this.activeConfigName);
+        if (!name || name === this.activeConfigName) return;
+        this.activeConfigName = name;
+        await this.persistConfiguration();
+    }
+
+    async setDefaultView() {
+        try {
+            await setDefaultCalendarConfig({ configId: this.activeViewId });
+            this.personalViews = this.personalViews.map(v => ({ ...v, isDefault: v.id === this.activeViewId }));
+            this.showToast(LABELS.defaultViewSet, formatLabel(LABELS.defaultViewSetMessage, this.activeConfigName), 'success');
+        } catch (error) {
+            this.showToast(LABELS.updateFailed, this.reduceError(error), 'error');
+        }
+    }
+
+    async deleteView() {
+        const confirmed = await LightningConfirm.open({ message: formatLabel(LABELS.deleteViewConfirm, this.activeConfigName), label: LABELS.deleteViewTitle, theme: 'warning' });
+        if (!confirmed) return;
+        try {
+            await deleteCalendarConfig({ configId: this.activeViewId });
+            this.personalViews = this.personalViews.filter(v => v.id !== this.activeViewId);
+            const next = this.personalViews.find(v => v.isDefault) || this.personalViews[0];
+            if (next) this.applyConfig(next, false);
+            else if (this.sharedConfigs.length) this.applyConfig(this.sharedConfigs[0], true);
+            else {
+                this.activeViewId = null;
+                this.activeConfigName = LABELS.myCalendar;
+                this.applyConfigPayload({});
+            }
+            this.eventCache.clear();
+            this.loadVisibleRange();
+        } catch (error) {
+            this.showToast(LABELS.deleteFailed, this.reduceError(error), 'error');
+        }
+    }
+
+    handlePublishNameChange(event) { this.publishConfigName = event.detail.value; }
+
+    async handlePublishSharedConfig() {
+        if (!this.publishConfigName) {
+            this.showToast(LABELS.missingName, LABELS.missingNameMessage, 'error');
+            return;
+        }
+        try {
+            await saveCalendarConfig({ configId: null, name: this.publishConfigName, configJson: JSON.stringify(this.buildConfigPayload()), isShared: true });
+            this.publishConfigName = '';
+            await this.reloadSharedConfigs();
+            this.showToast(LABELS.published, LABELS.publishedMessage, 'success');
+        } catch (error) {
+            this.showToast(LABELS.publishFailed, this.reduceError(error), 'error');
+        }
+    }
+
+    async handleDeleteSharedConfig(event) {
+        try {
+            await deleteCalendarConfig({ configId: event.currentTarget.dataset.id });
+            await this.reloadSharedConfigs();
+        } catch (error) {
+            this.showToast(LABELS.deleteFailed, this.reduceError(error), 'error');
+        }
+    }
+
+    async reloadSharedConfigs() {
+        const result = await getCalendarConfigs();
+        this.sharedConfigs = result.shared;
     }
 
     handleObjectChange(e) {
@@ -296,6 +1068,54 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         this.currentSource = src;
     }
 
+    // Detail fields keep their label and type so hover cards can format values without describing the object
+    get currentDetailFieldValues() { return (this.currentSource.detailFields || []).map(f => f.value); }
+
+    handleDetailFieldsChange(e) {
+        const detailFields = e.detail.value
+            .map(value => this.detailFieldOptions.find(o => o.value === value))
+            .filter(o => o)
+            .slice(0, MAX_DETAIL_FIELDS)
+            .map(({ label, value, type }) => ({ label, value, type }));
+        this.currentSource = { ...this.currentSource, detailFields };
+    }
+
+    async handleOwnerPick(event) {
+        const ownerId = event.detail.recordId;
+        if (!ownerId) return;
+        event.target.clearSelection();
+        if ((this.currentSource.specificOwners || []).some(o => o.value === ownerId)) return;
+        try {
+            const [owner] = await getOwnerLabels({ ownerIds: [ownerId] });
+            let src = JSON.parse(JSON.stringify(this.currentSource));
+            src.specificOwners = [...(src.specificOwners || []), owner || { label: ownerId, value: ownerId, type: 'User' }];
+            this.currentSource = src;
+        } catch (error) { console.error(error); }
+    }
+
+    handleOwnerRemove(event) {
+        const ownerId = event.detail.item.name;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        src.specificOwners = (src.specificOwners || []).filter(o => o.value !== ownerId);
+        this.currentSource = src;
+    }
+
+    // While typing only the field shows what is wrong; the toast waits for Save
+    handleFilterLogicChange(e) {
+        this.handleFormChange(e);
+        this.reportFilterLogicValidity();
+    }
+
+    reportFilterLogicValidity() {
+        const error = validateFilterLogic(this.currentSource.filterLogic, this.currentSource.filters || []);
+        const input = this.template.querySelector('.filter-logic-input');
+        if (input) {
+            input.setCustomValidity(error || '');
+            input.reportValidity();
+        }
+        return error;
+    }
+
     handleTitleTypeChange(e) {
         let src = { ...this.currentSource };
         src.titleType = e.detail.value;
@@ -308,7 +1128,7 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
     addFilter() {
         if (this.currentSource.filters.length >= 5) return;
         let src = JSON.parse(JSON.stringify(this.currentSource));
-        src.filters.push({ id: Date.now(), field: '', value: '', type: 'STRING', inputType: 'text' });
+        src.filters.push({ id: Date.now(), field: '', operator: 'equals', value: '', type: 'STRING' });
         this.currentSource = src;
     }
 
@@ -327,189 +1147,912 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         let filter = src.filters[index];
         filter.field = fieldName;
         filter.type = fieldMeta ? fieldMeta.type : 'STRING';
-        if (filter.type === 'DATE' || filter.type === 'DATETIME') filter.inputType = 'date';
-        else if (filter.type === 'BOOLEAN') filter.inputType = 'checkbox';
-        else if (filter.type === 'DOUBLE' || filter.type === 'INTEGER' || filter.type === 'CURRENCY') filter.inputType = 'number';
-        else filter.inputType = 'text';
+        filter.operator = 'equals';
         filter.value = ''; 
         this.currentSource = src;
+        if (PICKLIST_TYPES.includes(filter.type)) this.loadPicklistOptions(src.objectName, fieldName);
     }
 
-    handleFilterValueChange(event) {
+    handleFilterOperatorChange(event) {
         const index = parseInt(event.target.dataset.index, 10);
-        const val = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        const operator = event.detail.value;
         let src = JSON.parse(JSON.stringify(this.currentSource));
-        src.filters[index].value = val;
+        let filter = src.filters[index];
+        const wasMulti = filter.operator === 'in';
+        filter.operator = operator;
+        if (BLANK_OPERATORS.includes(operator)) filter.value = '';
+        else if (wasMulti !== (operator === 'in')) filter.value = (operator === 'in' && PICKLIST_TYPES.includes(filter.type)) ? [] : '';
         this.currentSource = src;
     }
 
-    async refreshCalendar() {
-        if(!this.calendarSources.length) { this.rawEvents = []; this.renderView(); return; }
-        
-        const activeSources = this.calendarSources.filter(s => s.isActive !== false);
+    handleFilterDateModeChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const mode = event.detail.value;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        const current = this.parseDateFilterValue(src.filters[index].value);
+        if (mode === 'SPECIFIC') src.filters[index].value = '';
+        else if (PARAMETERIZED_DATE_LITERALS.includes(mode)) src.filters[index].value = `${mode}:${current.n || 30}`;
+        else src.filters[index].value = mode;
+        this.currentSource = src;
+    }
 
-        const fetchPromises = activeSources.map(source => {
-            const cleanFilters = source.filters ? source.filters.filter(f => f.field && f.value !== '') : [];
-            const icon = OBJECT_ICONS[source.objectName] || 'standard:sobject';
-
-            return getEvents({
-                objectName: source.objectName,
-                startField: source.startField || 'CreatedDate',
-                endField: source.endField,
-                userField: source.userField,
-                titleField: source.titleField,
-                filterJson: JSON.stringify(cleanFilters),
-                filterLogic: source.filterLogic
-            }).then(data => {
-                return data.map(record => {
-                    let title = (source.titleField && record[source.titleField]) ? record[source.titleField] : (record.Name || record.Id);
-                    let startVal = record[source.startField || 'CreatedDate'];
-                    if(!startVal) return null;
-                    let startDt = new Date(startVal);
-                    let endDt = (source.endField && record[source.endField]) ? new Date(record[source.endField]) : new Date(startDt);
-                    if(endDt < startDt) endDt = new Date(startDt);
-
-                    return { 
-                        Id: record.Id, Title: title, Start: startDt, End: endDt,
-                        Color: source.color, ObjectName: source.objectName,
-                        style: `background-color: ${source.color};`,
-                        iconName: icon
-                    };
-                }).filter(e => e !== null);
-            }).catch(err => []);
-        });
+    handleFilterDateNChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        const current = this.parseDateFilterValue(src.filters[index].value);
+        src.filters[index].value = `${current.mode}:${event.detail.value}`;
+        this.currentSource = src;
+    }
 
-        try {
-            const results = await Promise.all(fetchPromises);
-            this.rawEvents = results.flat();
-            this.renderView();
-        } catch (error) { console.error(error); }
+    addColorRule() {
+        if (this.disableAddColorRule) return;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        src.colorRules = src.colorRules || [];
+        src.colorRules.push({ id: Date.now(), field: '', fieldLabel: '', type: 'STRING', operator: 'equals', value: '', color: DEFAULT_RULE_COLOR, iconName: '', label: '' });
+        this.currentSource = src;
     }
 
-    renderView() {
-        this.isPopoverOpen = false; 
-        if (this.currentView === 'month') this.generateMonthGrid();
-        else if (this.currentView === 'week') this.generateWeekGrid();
-        else if (this.currentView === 'day') this.generateDayGrid();
+    removeColorRule(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        src.colorRules.splice(index, 1);
+        this.currentSource = src;
     }
-    
-    generateMonthGrid() {
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        const firstDay = new Date(year, month, 1).getDay();
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        let days = [];
-        for (let i = 0; i < firstDay; i++) { days.push({ id: `prev-${i}`, class: 'day prev-month', label: '', events: [] }); }
-        for (let i = 1; i <= daysInMonth; i++) {
-            let currentDt = new Date(year, month, i);
-            let isToday = (currentDt.toDateString() === new Date().toDateString());
-            let allDayEvents = this.rawEvents.filter(e => this.isEventOnDate(e, currentDt));
-            
-            let isoDateStr = currentDt.getFullYear() + '-' + String(currentDt.getMonth() + 1).padStart(2, '0') + '-' + String(currentDt.getDate()).padStart(2, '0');
-            let dayId = `curr-${i}`;
-            
-            const shownEvents = allDayEvents.slice(0, this.maxRecordsPerDay);
-            const hiddenEvents = allDayEvents.slice(this.maxRecordsPerDay);
-            const hasMore = hiddenEvents.length > 0;
-
-            days.push({ 
-                id: dayId, 
-                class: isToday ? 'day current-month today' : 'day current-month', 
-                label: i, 
-                isoDate: isoDateStr, 
-                events: shownEvents,
-                hasMore: hasMore,
-                moreCount: hiddenEvents.length,
-                allEvents: allDayEvents,
-                popoverDateLabel: currentDt.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
-            });
-        }
-        this.monthDays = days;
+
+    // Rules are evaluated top to bottom, so their order is part of the configuration
+    moveColorRule(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const target = index + (event.target.dataset.direction === 'up' ? -1 : 1);
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        if (target < 0 || target >= src.colorRules.length) return;
+        [src.colorRules[index], src.colorRules[target]] = [src.colorRules[target], src.colorRules[index]];
+        this.currentSource = src;
     }
-    
-    generateWeekGrid() {
-        const curr = new Date(this.currentDate);
-        const first = curr.getDate() - curr.getDay(); 
-        let week = [];
-        let weekDates = [];
-        for (let i = 0; i < 7; i++) {
-            let d = new Date(new Date(curr).setDate(first + i));
-            weekDates.push(d);
-            let isToday = d.toDateString() === new Date().toDateString();
-            week.push({ id: `wd-${i}`, name: this.daysOfWeek[i], dateLabel: d.getDate(), columnClass: isToday ? 'week-header-cell today-column' : 'week-header-cell' });
-        }
-        this.weekDays = week;
-        this.generateHoursWithSlots(weekDates);
+
+    handleColorRuleFieldChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const fieldName = event.detail.value;
+        const fieldMeta = this.allFieldsOptions.find(f => f.value === fieldName);
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        let rule = src.colorRules[index];
+        rule.field = fieldName;
+        rule.fieldLabel = fieldMeta ? fieldMeta.label : fieldName;
+        rule.type = fieldMeta ? fieldMeta.type : 'STRING';
+        rule.operator = 'equals';
+        rule.value = rule.type === 'BOOLEAN' ? true : '';
+        this.currentSource = src;
+        if (PICKLIST_TYPES.includes(rule.type)) this.loadPicklistOptions(src.objectName, fieldName);
     }
 
-    generateDayGrid() { this.generateHoursWithSlots([this.currentDate]); }
+    handleColorRuleOperatorChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const operator = event.detail.value;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        let rule = src.colorRules[index];
+        const wasMulti = rule.operator === 'in';
+        rule.operator = operator;
+        if (BLANK_OPERATORS.includes(operator)) rule.value = '';
+        else if (wasMulti !== (operator === 'in')) rule.value = (operator === 'in' && PICKLIST_TYPES.includes(rule.type)) ? [] : '';
+        this.currentSource = src;
+    }
 
-    // FIXED: Correctly generate UTC ISO strings from local time slots
-    generateHoursWithSlots(datesForSlots) {
-        let rows = [];
-        const currentHour = new Date().getHours();
-        const isTodayPage = this.currentDate.toDateString() === new Date().toDateString();
+    // Value, color, icon and legend label inputs; data-prop names the rule property
+    handleColorRuleChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const prop = event.target.dataset.prop;
+        const val = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        src.colorRules[index][prop] = Array.isArray(val) ? [...val] : val;
+        this.currentSource = src;
+    }
 
-        for(let h=0; h<24; h++) {
-            let hourLabel = (h % 12 || 12) + (h >= 12 ? ' PM' : ' AM');
-            let isCurrentHourRow = (h === currentHour && isTodayPage && this.currentView === 'day'); 
-            let rowSlots = [];
-            datesForSlots.forEach((dateObj, index) => {
-                let isTodayCol = dateObj.toDateString() === new Date().toDateString();
-                let allSlotEvents = this.rawEvents.filter(e => this.isEventInSlot(e, dateObj, h));
-                
-                const shownEvents = allSlotEvents.slice(0, this.maxRecordsPerDay);
-                const hiddenEvents = allSlotEvents.slice(this.maxRecordsPerDay);
-                const hasMore = hiddenEvents.length > 0;
-                let slotId = `slot-${h}-${index}`;
-
-                // FIXED TIMEZONE LOGIC:
-                // 1. Create date object for the specific day
-                let createDt = new Date(dateObj);
-                // 2. Set the hour based on the row index (h), and zero out minutes/seconds for clean slot time
-                createDt.setHours(h, 0, 0, 0);
-                // 3. Use built-in toISOString() to convert this specific LOCAL time to the correct UTC string
-                let isoStr = createDt.toISOString();
-                
-                rowSlots.push({ 
-                    id: slotId, 
-                    class: isTodayCol ? 'week-slot today-column' : 'week-slot', 
-                    isoDate: isoStr, 
-                    events: shownEvents,
-                    hasMore: hasMore,
-                    moreCount: hiddenEvents.length,
-                    allEvents: allSlotEvents,
-                    popoverDateLabel: createDt.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })
-                });
-            });
-            rows.push({ id: `row-${h}`, label: hourLabel, class: isCurrentHourRow ? 'time-row current-hour-highlight' : 'time-row', weekSlots: rowSlots, dayEvents: rowSlots[0]?.events, dayIsoDate: rowSlots[0]?.isoDate });
-        }
-        this.hours = rows;
+    getOperatorsForType(type) {
+        if (type === 'BOOLEAN') return ['equals', 'notEquals'];
+        if (DATE_TYPES.includes(type)) return ['equals', 'notEquals', 'lessThan', 'greaterThan', 'lessOrEqual', 'greaterOrEqual', 'isBlank', 'isNotBlank'];
+        if (NUMBER_TYPES.includes(type)) return ['equals', 'notEquals', 'lessThan', 'greaterThan', 'lessOrEqual', 'greaterOrEqual', 'in', 'isBlank', 'isNotBlank'];
+        if (LIKE_TYPES.includes(type)) return ['equals', 'notEquals', 'contains', 'startsWith', 'in', 'isBlank', 'isNotBlank'];
+        return ['equals', 'notEquals', 'in', 'isBlank', 'isNotBlank'];
     }
 
-    isEventOnDate(event, targetDate) {
-        const tDate = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate()).getTime();
-        const sDate = new Date(event.Start.getFullYear(), event.Start.getMonth(), event.Start.getDate()).getTime();
-        const eDate = new Date(event.End.getFullYear(), event.End.getMonth(), event.End.getDate()).getTime();
-        return tDate >= sDate && tDate <= eDate;
+    getFilterInputType(type) {
+        if (type === 'BOOLEAN') return 'checkbox';
+        if (NUMBER_TYPES.includes(type)) return 'number';
+        return 'text';
     }
 
-    isEventInSlot(event, targetDate, hour) {
-        let slotStart = new Date(targetDate);
-        slotStart.setHours(hour, 0, 0, 0);
-        let slotEnd = new Date(targetDate);
-        slotEnd.setHours(hour, 59, 59, 999);
-        return (event.Start <= slotEnd) && (event.End >= slotStart);
+    // Date filter values are a YYYY-MM-DD date, a literal such as THIS_QUARTER, or LITERAL:N
+    parseDateFilterValue(value) {
+        if (!value || typeof value !== 'string' || /^\d{4}-\d{2}-\d{2}/.test(value)) return { mode: 'SPECIFIC', date: value || '', n: '' };
+        const [mode, n] = value.split(':');
+        return { mode, date: '', n: n || '' };
     }
 
-    handleGridClick(event) {
-        if(event.target.closest('.event-chip') || event.target.closest('.event-chip-small') || event.target.closest('.show-more-link') || event.target.closest('.popover-container')) {
+    async loadPicklistOptions(objectName, fieldName) {
+        const key = `${objectName}.${fieldName}`;
+        if (!objectName || !fieldName || this.picklistOptionsByField[key]) return;
+        try {
+            const values = await getPicklistValues({ objectName, fieldName });
+            this.picklistOptionsByField = { ...this.picklistOptionsByField, [key]: values };
+        } catch (error) { console.error(error); }
+    }
+
+    handleFilterValueChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const val = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        let src = JSON.parse(JSON.stringify(this.currentSource));
+        src.filters[index].value = Array.isArray(val) ? [...val] : val;
+        this.currentSource = src;
+    }
+
+    getVisibleRange() {
+        const d = this.currentDate;
+        const scale = this.currentView === 'timeline' ? this.timelineScale : this.currentView;
+        let start, end;
+        if (scale === 'month') {
+            start = new Date(d.getFullYear(), d.getMonth(), 1);
+            end = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+        } else if (scale === 'week') {
+            start = new Date(d.getFullYear(), d.getMonth(), d.getDate() - this.weekOffset(d));
+            end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+        } else if (scale === 'year') {
+            start = new Date(d.getFullYear(), 0, 1);
+            end = new Date(d.getFullYear() + 1, 0, 1);
+        } else if (scale === 'agenda') {
+            start = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+            end = new Date(d.getFullYear(), d.getMonth(), d.getDate() + this.agendaDays * this.agendaPages);
+        } else {
+            start = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+            end = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+        }
+        return { start, end };
+    }
+
+    getRangeKey() {
+        const { start, end } = this.getVisibleRange();
+        return `${start.toISOString()}|${end.toISOString()}`;
+    }
+
+    // Navigation entry point: reuse the cached range if we have it, otherwise fetch it
+    loadVisibleRange() {
+        this.agendaPages = 1;
+        if (this.isYearView) { this.loadYearDensity(); return; }
+        const cached = this.eventCache.get(this.getRangeKey());
+        if (cached) {
+            this.rawEvents = cached;
+            this.holidays = this.holidayCache.get(this.getRangeKey()) || [];
+            this.renderView();
+            return;
+        }
+        this.renderView();
+        this.refreshCalendar();
+    }
+
+    async refreshCalendar() {
+        if(!this.calendarSources.length) { this.rawEvents = []; this.holidays = []; this.yearCounts = {}; this.renderView(); return; }
+        if (this.isYearView) {
+            this.eventCache.delete(this.getRangeKey());
+            this.loadYearDensity();
+            return;
+        }
+
+        const rangeKey = this.getRangeKey();
+        try {
+            const range = this.getVisibleRange();
+            const [{ events, failures }, holidays] = await Promise.all([this.fetchEvents(range), this.fetchHolidays(range)]);
+            if (failures.length) this.showToast(LABELS.loadFailed, failures.join('\n'), 'error');
+            else this.eventCache.set(rangeKey, events);
+            this.holidayCache.set(rangeKey, holidays);
+            // Ignore responses for a range the user has already navigated away from
+            if (rangeKey !== this.getRangeKey()) return;
+            this.rawEvents = events;
+            this.holidays = holidays;
+            this.renderView();
+        } catch (error) { console.error(error); }
+    }
+
+    // Queries every active source for the range; per-source failures are collected instead of thrown
+    async fetchEvents(range) {
+        const activeSources = this.calendarSources.filter(s => s.isActive !== false);
+        const failures = [];
+
+        const fetchPromises = activeSources.map(source => {
+            return this.fetchSourceEvents(source, range).then(events => expandRecurrences(events, range)).catch(error => {
+                failures.push(`${source.objectLabel}: ${this.reduceError(error)}`);
+                return [];
+            });
+        });
+
+        const results = await Promise.all(fetchPromises);
+        return { events: results.flat(), failures };
+    }
+
+    // One source's records in the range, or just recordIds of them or those matching searchTerm, as calendar events;
+    // series are not expanded yet
+    async fetchSourceEvents(source, range, recordIds, searchTerm) {
+        const icon = OBJECT_ICONS[source.objectName] || 'standard:sobject';
+        const groupField = source.timelineGroupField || source.userField;
+
+        const detailFields = source.detailFields || [];
+        const data = await getEvents({
+            ...this.buildSourceQuery(source, range), titleField: source.titleField, groupField, recordIds,
+            detailFields: detailFields.map(f => f.value),
+            ruleFields: (source.colorRules || []).map(r => r.field).filter(f => f),
+            searchTerm
+        });
+        return data.map(record => {
+            let title = (source.titleField && record[source.titleField]) ? record[source.titleField] : (record.Name || record.Id);
+            let startVal = record[source.startField || 'CreatedDate'];
+            if(!startVal) return null;
+            let startDt = this.parseFieldValue(startVal);
+            let endDt = (source.endField && record[source.endField]) ? this.parseFieldValue(record[source.endField]) : new Date(startDt);
+            if(endDt < startDt) endDt = new Date(startDt);
+            const rule = matchColorRule(source.colorRules, record, this.activeTimeZone);
+            const color = rule ? rule.color : source.color;
+
+            return { 
+                Id: record.Id, Title: title, Start: startDt, End: endDt,
+                Color: color, ObjectName: source.objectName, SourceId: source.id,
+                IsAllDay: typeof startVal === 'string' && startVal.length === 10,
+                style: `background-color: ${color};`,
+                iconName: (rule && rule.iconName) || icon,
+                ColorRuleId: rule ? rule.id : null,
+                ...this.getTimelineGroup(record, groupField, source),
+                SeriesId: record.IsRecurrence2 ? record.Id : record.RecurrenceActivityId,
+                SeriesRule: getSeriesRule(record),
+                IsExclusion: !!record.IsRecurrence2Exclusion,
+                Details: detailFields
+                    .map(f => ({ label: f.label, value: this.formatDetailValue(f.value.split('.').reduce((v, part) => (v ? v[part] : null), record), f.type) }))
+                    .filter(d => d.value !== '')
+            };
+        }).filter(e => e !== null);
+    }
+
+    // Re-reads only the given records of one source after a quick create or edit and swaps them into rawEvents,
+    // leaving the rest of the loaded range alone. A record that no longer matches the range or filters drops out.
+    async refreshRecords(source, recordIds) {
+        const range = this.getVisibleRange();
+        const rangeKey = this.getRangeKey();
+        try {
+            const fresh = await this.fetchSourceEvents(source, range, recordIds);
+            if (rangeKey !== this.getRangeKey()) return;
+            const ids = new Set(recordIds);
+            const kept = this.rawEvents.filter(e => e.SourceId !== source.id || !(ids.has(e.Id) || (e.IsVirtual && ids.has(e.SeriesId))));
+            // Stored occurrences of a refreshed series go through the expansion again so their days stay taken
+            const siblings = kept.filter(e => e.SourceId === source.id && !e.IsVirtual && ids.has(e.SeriesId));
+            const expanded = expandRecurrences(fresh.concat(siblings), range).filter(e => !siblings.includes(e));
+            this.rawEvents = kept.concat(expanded);
+            // Other cached ranges may hold the old version of the record
+            this.eventCache.clear();
+            this.eventCache.set(rangeKey, this.rawEvents);
+            this.renderView();
+        } catch (error) {
+            this.showToast(LABELS.error, this.reduceError(error), 'error');
+        }
+    }
+
+    // Org holidays in the range with recurring ones expanded. Like DATE values they are floating: a holiday falls on
+    // the same calendar day, at the same clock times, whatever the display timezone.
+    async fetchHolidays(range) {
+        if (!this.showHolidays) return [];
+        try {
+            const records = await getHolidays({ rangeStart: this.toIsoDateString(range.start), rangeEnd: this.toIsoDateString(range.end) });
+            return records.flatMap(record => this.expandHoliday(record, range));
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
+    expandHoliday(record, range) {
+        const rule = getHolidayRule(record);
+        const firstDay = new Date(range.start.getFullYear(), range.start.getMonth(), range.start.getDate());
+        const days = rule
+            ? expandSeries(this.parseFieldValue(record.RecurrenceStartDate), rule, range.end)
+            : [this.parseFieldValue(record.ActivityDate)];
+        return days.filter(day => day >= firstDay && day < range.end).map(day => {
+            const at = minutes => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+            const start = record.IsAllDay ? at(0) : at(record.StartTimeInMinutes || 0);
+            const end = record.IsAllDay ? at(24 * 60) : at(record.EndTimeInMinutes || 24 * 60);
+            return {
+                Id: `${record.Id}_${day.getTime()}`, Name: record.Name, Start: start, End: end,
+                label: record.IsAllDay ? record.Name : `${record.Name} (${this.formatTime(start)} – ${this.formatTime(end)})`
+            };
+        });
+    }
+
+    // Holidays touching a day, or only the from..until part of it when given
+    holidaysOn(day, from = new Date(day.getFullYear(), day.getMonth(), day.getDate()), until = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        return this.holidays.filter(h => h.Start < until && h.End > from);
+    }
+
+    // DATE values are floating: midnight of that day wherever the calendar is viewed. DATETIME values are instants,
+    // shown on the display timezone's clock.
+    parseFieldValue(value) {
+        if (typeof value === 'string' && value.length === 10) {
+            const [y, m, d] = value.split('-').map(Number);
+            return new Date(y, m - 1, d);
+        }
+        return this.toDisplay(new Date(value));
+    }
+
+    get activeTimeZone() { return this.displayTimeZone || USER_TIME_ZONE; }
+    toDisplay(date) { return toWallClock(date, this.activeTimeZone); }
+    fromDisplay(date) { return fromWallClock(date, this.activeTimeZone); }
+    now() { return this.toDisplay(new Date()); }
+
+    get timeZoneOptions() {
+        if (!this._timeZoneOptions) {
+            this._timeZoneOptions = listTimeZones([USER_TIME_ZONE]).map(zone => ({
+                label: zone === USER_TIME_ZONE ? formatLabel(LABELS.myTimezone, zone.replace(/_/g, ' ')) : zone.replace(/_/g, ' '),
+                value: zone === USER_TIME_ZONE ? '' : zone
+            }));
+        }
+        return this._timeZoneOptions;
+    }
+
+    // Events are held on the old zone's clock, so the cache is dropped and the range fetched again
+    handleTimeZoneChange(event) {
+        this.displayTimeZone = event.detail.value;
+        this.persistViewChange();
+        this.eventCache.clear();
+        this.loadVisibleRange();
+    }
+
+    // Timeline row for a record: the group field's value, labelled with the related record's Name for lookups.
+    // Sources without a group field get one row of their own.
+    getTimelineGroup(record, groupField, source) {
+        if (!groupField) return { GroupKey: `source-${source.id}`, GroupLabel: source.objectLabel };
+        const value = record[groupField];
+        if (value === undefined || value === null || value === '') return { GroupKey: UNASSIGNED_GROUP_KEY, GroupLabel: LABELS.unassigned };
+        const relationship = groupField.endsWith('__c') ? groupField.replace(/__c$/, '__r') : groupField.replace(/Id$/, '');
+        const related = relationship !== groupField ? record[relationship] : null;
+        return { GroupKey: String(value), GroupLabel: related && related.Name ? related.Name : String(value) };
+    }
+
+    // Apex parameters shared by getEvents and getDailyCounts
+    buildSourceQuery(source, range) {
+        return {
+            objectName: source.objectName,
+            startField: source.startField || 'CreatedDate',
+            endField: source.endField,
+            userField: source.userField,
+            userScope: source.userScope || 'mine',
+            userIds: (source.specificOwners || []).map(o => o.value),
+            // Sent by position, incomplete rows included, so numbers in filterLogic line up server side
+            filterJson: JSON.stringify(source.filters || []),
+            filterLogic: source.filterLogic,
+            rangeStart: this.fromDisplay(range.start).toISOString(),
+            rangeEnd: this.fromDisplay(range.end).toISOString()
+        };
+    }
+
+    // Year view works from per-day counts aggregated on the server, cached like event ranges. The server buckets
+    // days in the user's Salesforce timezone, whichever display timezone is picked.
+    async loadYearDensity() {
+        const rangeKey = this.getRangeKey();
+        const cached = this.eventCache.get(rangeKey);
+        this.rawEvents = [];
+        this.yearCounts = cached || {};
+        this.renderView();
+        if (cached) return;
+
+        const range = this.getVisibleRange();
+        const failures = [];
+        const results = await Promise.all(this.calendarSources.filter(s => s.isActive !== false).map(source =>
+            getDailyCounts(this.buildSourceQuery(source, range))
+                .then(counts => ({ source, counts }))
+                .catch(error => {
+                    failures.push(`${source.objectLabel}: ${this.reduceError(error)}`);
+                    return null;
+                })
+        ));
+
+        const merged = {};
+        results.filter(r => r).forEach(({ source, counts }) => {
+            Object.keys(counts).forEach(day => {
+                const entry = merged[day] || (merged[day] = { total: 0, sources: [] });
+                entry.total += counts[day];
+                entry.sources.push({ id: source.id, label: source.objectLabel, count: counts[day] });
+            });
+        });
+        if (failures.length) this.showToast(LABELS.loadFailed, failures.join('\n'), 'error');
+        else this.eventCache.set(rangeKey, merged);
+        if (rangeKey !== this.getRangeKey()) return;
+        this.yearCounts = merged;
+        this.renderView();
+    }
+
+    // Extends the agenda by one more period, fetching only the days not loaded yet
+    async loadMoreAgenda() {
+        if (this.isAgendaLoading || !this.canLoadMoreAgenda) return;
+        const from = this.getVisibleRange().end;
+        this.agendaPages += 1;
+        const rangeKey = this.getRangeKey();
+        const cached = this.eventCache.get(rangeKey);
+        if (cached) {
+            this.rawEvents = cached;
+            this.holidays = this.holidayCache.get(rangeKey) || this.holidays;
+            this.renderView();
+            return;
+        }
+
+        this.isAgendaLoading = true;
+        try {
+            const added = { start: from, end: this.getVisibleRange().end };
+            const [{ events, failures }, holidays] = await Promise.all([this.fetchEvents(added), this.fetchHolidays(added)]);
+            if (rangeKey !== this.getRangeKey()) return;
+            if (failures.length) {
+                this.agendaPages -= 1;
+                this.showToast(LABELS.loadFailed, failures.join('\n'), 'error');
+                return;
+            }
+            // Events spanning the old boundary come back in both fetches
+            const loaded = new Set(this.rawEvents.map(e => `${e.SourceId}|${e.Id}`));
+            this.rawEvents = [...this.rawEvents, ...events.filter(e => !loaded.has(`${e.SourceId}|${e.Id}`))];
+            this.eventCache.set(rangeKey, this.rawEvents);
+            const loadedHolidays = new Set(this.holidays.map(h => h.Id));
+            this.holidays = [...this.holidays, ...holidays.filter(h => !loadedHolidays.has(h.Id))];
+            this.holidayCache.set(rangeKey, this.holidays);
+            this.renderView();
+        } catch (error) {
+            this.agendaPages -= 1;
+            console.error(error);
+        } finally {
+            this.isAgendaLoading = false;
+        }
+    }
+
+    handleAgendaScroll(event) {
+        const el = event.currentTarget;
+        if (el.scrollTop + el.clientHeight >= el.scrollHeight - 40) this.loadMoreAgenda();
+    }
+
+    handleAgendaRangeChange(event) {
+        this.agendaDays = parseInt(event.detail.value, 10);
+        this.persistViewChange();
+        this.loadVisibleRange();
+    }
+
+    renderView() {
+        this.isPopoverOpen = false; 
+        if (this.currentView === 'month') this.generateMonthGrid();
+        else if (this.currentView === 'week') this.generateWeekGrid();
+        else if (this.currentView === 'day') this.generateDayGrid();
+        else if (this.currentView === 'agenda') this.generateAgenda();
+        else if (this.currentView === 'year') this.generateYearGrid();
+        else if (this.currentView === 'timeline') this.generateTimeline();
+    }
+    
+    // Month view is built week by week: each event is one bar per week it touches, placed in the lowest lane
+    // that is free on all of its days so it keeps the same row across the week
+    generateMonthGrid() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        const firstDay = this.weekOffset(new Date(year, month, 1));
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const maxLanes = parseInt(this.maxRecordsPerDay, 10) || this.defaultColors.maxRecords;
+        const todayStr = this.now().toDateString();
+        const weeks = [];
+        const allDays = [];
+        const weekCount = Math.ceil((firstDay + daysInMonth) / 7);
+        for (let w = 0; w < weekCount; w++) {
+            const weekFirst = w * 7 - firstDay + 1;
+            const days = [];
+            for (let c = 0; c < 7; c++) {
+                const dom = weekFirst + c;
+                if (dom < 1 || dom > daysInMonth) {
+                    days.push({ id: `blank-${w}-${c}`, class: 'day prev-month', label: '', col: c, style: `grid-column: ${c + 1};` });
+                    continue;
+                }
+                const dt = new Date(year, month, dom);
+                const holidays = this.holidaysOn(dt);
+                days.push({
+                    id: `curr-${dom}`,
+                    class: `day current-month${dt.toDateString() === todayStr ? ' today' : ''}${holidays.length ? ' holiday' : ''}`,
+                    label: dom, col: c, style: `grid-column: ${c + 1};`, holidays,
+                    isoDate: this.toIsoDateString(dt),
+                    allEvents: [], hiddenCount: 0,
+                    popoverDateLabel: dt.toLocaleDateString(LOCALE, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+                });
+            }
+
+            // Bars are clipped to the month; outside it they carry continuation markers instead
+            const columns = Array.from({ length: 7 }, (v, c) => new Date(year, month, weekFirst + c));
+            const layout = this.layoutDayBars(this.visibleEvents, columns, maxLanes, `${w}`, Math.max(0, 1 - weekFirst), Math.min(6, daysInMonth - weekFirst));
+            layout.perDay.forEach((d, c) => { if (days[c].allEvents) { days[c].allEvents = d.events; days[c].hiddenCount = d.hidden; } });
+            const bars = layout.bars.map(b => ({ ...b, style: `${b.style} grid-row: ${b.lane + 2};` }));
+            const shownLanes = layout.laneCount;
+            const moreLinks = days.filter(d => d.hiddenCount).map(d => ({
+                id: d.id, label: formatLabel(LABELS.showMore, d.hiddenCount),
+                style: `grid-column: ${d.col + 1}; grid-row: ${shownLanes + 2};`
+            }));
+            weeks.push({
+                id: `week-${w}`, days, bars, moreLinks,
+                style: `grid-template-rows: 24px ${shownLanes ? `repeat(${shownLanes}, 22px) ` : ''}20px 1fr;`
+            });
+            allDays.push(...days);
+        }
+        this.monthWeeks = weeks;
+        this.monthDays = allDays;
+    }
+    
+    generateWeekGrid() {
+        const curr = new Date(this.currentDate);
+        const first = curr.getDate() - this.weekOffset(curr);
+        let week = [];
+        let weekDates = [];
+        const todayStr = this.now().toDateString();
+        for (let i = 0; i < 7; i++) {
+            let d = new Date(new Date(curr).setDate(first + i));
+            weekDates.push(d);
+        }
+        // A work week drops the days the business hours are closed, unless that would leave none
+        if (this.hideWeekends && weekDates.some(d => this.isWorkingDay(d))) weekDates = weekDates.filter(d => this.isWorkingDay(d));
+        weekDates.forEach((d, i) => {
+            let isToday = d.toDateString() === todayStr;
+            week.push({ id: `wd-${i}`, name: this.weekdayName(d.getDay(), 'short'), dateLabel: d.getDate(), columnClass: isToday ? 'week-header-cell today-column' : 'week-header-cell' });
+        });
+        this.weekDays = week;
+        this.generateHoursWithSlots(weekDates);
+    }
+
+    generateDayGrid() { this.generateHoursWithSlots([this.currentDate]); }
+
+    // Twelve mini-months; each day is shaded by its share of the busiest day's count
+    generateYearGrid() {
+        const year = this.currentDate.getFullYear();
+        const todayIso = this.toIsoDateString(this.now());
+        const yearCounts = {};
+        Object.keys(this.yearCounts).forEach(iso => {
+            const sources = this.yearCounts[iso].sources.filter(c => !this.isSourceHidden(c.id));
+            yearCounts[iso] = { sources, total: sources.reduce((sum, c) => sum + c.count, 0) };
+        });
+        const max = Math.max(0, ...Object.values(yearCounts).map(c => c.total));
+        this.yearMonths = this.monthNames.map((name, m) => {
+            const days = [];
+            const firstDay = this.weekOffset(new Date(year, m, 1));
+            const daysInMonth = new Date(year, m + 1, 0).getDate();
+            for (let i = 0; i < firstDay; i++) days.push({ id: `y-${m}-${i}`, class: 'year-day empty', label: '' });
+            for (let i = 1; i <= daysInMonth; i++) {
+                const dt = new Date(year, m, i);
+                const iso = this.toIsoDateString(dt);
+                const entry = yearCounts[iso];
+                const total = entry ? entry.total : 0;
+                const level = total ? Math.ceil((total / max) * HEAT_LEVELS) : 0;
+                const details = entry ? entry.sources.map(s => `\n${s.label}: ${s.count}`).join('') : '';
+                days.push({
+                    id: iso, isoDate: iso, label: i,
+                    class: `year-day heat-${level}${iso === todayIso ? ' today-outline' : ''}`,
+                    tooltip: `${dt.toLocaleDateString(LOCALE, { weekday: 'short', month: 'short', day: 'numeric' })}: ${formatLabel(LABELS.eventCount, total)}${details}`
+                });
+            }
+            return { id: `ym-${m}`, name, days };
+        });
+    }
+
+    // One row per group value, chips placed by their share of the visible range and stacked into lanes where they overlap
+    generateTimeline() {
+        const { start, end } = this.getVisibleRange();
+        const isHourScale = this.timelineScale === 'day';
+        const todayStr = this.now().toDateString();
+        const columns = [];
+        for (let c = new Date(start); c < end; c = isHourScale ? new Date(c.getTime() + 3600000) : new Date(c.getFullYear(), c.getMonth(), c.getDate() + 1)) {
+            columns.push({
+                id: `tc-${c.getTime()}`,
+                label: isHourScale ? this.formatHour(c.getHours()) : `${this.weekdayName(c.getDay(), 'short')} ${c.getDate()}`,
+                isoDate: isHourScale ? this.fromDisplay(c).toISOString() : this.toIsoDateString(c),
+                class: !isHourScale && c.toDateString() === todayStr ? 'timeline-cell today-column' : 'timeline-cell'
+            });
+        }
+        this.timelineColumns = columns;
+
+        const span = end - start;
+        const minWidth = 100 / columns.length / 2;
+        const groups = new Map();
+        this.visibleEvents.forEach(e => {
+            if (!groups.has(e.GroupKey)) groups.set(e.GroupKey, { id: e.GroupKey, label: e.GroupLabel, events: [] });
+            groups.get(e.GroupKey).events.push(e);
+        });
+
+        this.timelineRows = [...groups.values()]
+            .sort((a, b) => (a.id === UNASSIGNED_GROUP_KEY) - (b.id === UNASSIGNED_GROUP_KEY) || a.label.localeCompare(b.label))
+            .map(group => {
+                const laneEnds = [];
+                const chips = group.events
+                    .map(e => {
+                        // All-day events cover whole local days, as in the month grid
+                        const from = e.IsAllDay ? new Date(e.Start.getFullYear(), e.Start.getMonth(), e.Start.getDate()) : e.Start;
+                        const to = e.IsAllDay ? new Date(e.End.getFullYear(), e.End.getMonth(), e.End.getDate() + 1) : e.End;
+                        return { e, from: Math.max(from.getTime(), start.getTime()), to: Math.min(to.getTime(), end.getTime()) };
+                    })
+                    .filter(c => c.to >= c.from && c.from < end.getTime())
+                    .sort((a, b) => a.from - b.from)
+                    .map(({ e, from, to }) => {
+                        const left = ((from - start) / span) * 100;
+                        const width = Math.min(Math.max(((to - from) / span) * 100, minWidth), 100 - left);
+                        const visualEnd = from + (width / 100) * span;
+                        let lane = laneEnds.findIndex(laneEnd => laneEnd <= from);
+                        if (lane < 0) { lane = laneEnds.length; laneEnds.push(0); }
+                        laneEnds[lane] = visualEnd;
+                        return {
+                            key: `${e.SourceId}-${e.Id}`, Id: e.Id, Title: e.Title, iconName: e.iconName, SeriesId: e.SeriesId,
+                            class: `event-chip-small timeline-chip${this.searchClass(e)}`,
+                            style: `${e.style} left: ${left}%; width: ${width}%; top: ${lane * TIMELINE_LANE_HEIGHT + 4}px;`
+                        };
+                    });
+                return {
+                    id: group.id, label: group.label, count: chips.length, chips,
+                    style: `height: ${Math.max(laneEnds.length, 1) * TIMELINE_LANE_HEIGHT + 8}px;`
+                };
+            })
+            .filter(row => row.count > 0);
+    }
+
+    handleTimelineScaleChange(event) {
+        this.timelineScale = event.detail.value;
+        this.persistViewChange();
+        this.loadVisibleRange();
+    }
+
+    handleYearDayClick(event) {
+        const iso = event.currentTarget.dataset.date;
+        if (!iso) return;
+        const [y, m, d] = iso.split('-').map(Number);
+        this.currentDate = new Date(y, m - 1, d);
+        this.currentView = 'day';
+        this.loadVisibleRange();
+    }
+
+    // Days without events are left out; multi-day events are listed under every day they cover
+    generateAgenda() {
+        const { start, end } = this.getVisibleRange();
+        const labels = new Map(this.calendarSources.map(s => [s.id, s.objectLabel]));
+        const todayStr = this.now().toDateString();
+        const groups = [];
+        for (let day = new Date(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            const dayEvents = this.visibleEvents
+                .filter(e => this.isEventOnDate(e, day))
+                .sort((a, b) => (b.IsAllDay - a.IsAllDay) || (a.Start - b.Start));
+            const holidays = this.holidaysOn(day);
+            if (!dayEvents.length && !holidays.length) continue;
+            groups.push({
+                id: `agenda-${this.toIsoDateString(day)}`, holidays,
+                label: day.toLocaleDateString(LOCALE, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+                class: day.toDateString() === todayStr ? 'agenda-day-header today' : 'agenda-day-header',
+                events: dayEvents.map(e => ({
+                    key: `${day.getTime()}-${e.SourceId}-${e.Id}`,
+                    Id: e.Id, Title: e.Title, iconName: e.iconName, SeriesId: e.SeriesId,
+                    class: `agenda-item${this.searchClass(e)}`,
+                    swatchStyle: `background-color: ${e.Color};`,
+                    objectLabel: labels.get(e.SourceId),
+                    timeLabel: this.formatAgendaTime(e, day)
+                }))
+            });
+        }
+        this.agendaGroups = groups;
+    }
+
+    formatAgendaTime(e, day) {
+        if (e.IsAllDay) return LABELS.allDay;
+        const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        const startsToday = e.Start >= dayStart;
+        const endsToday = e.End < dayEnd;
+        if (startsToday && endsToday) return e.End > e.Start ? `${this.formatTime(e.Start)} – ${this.formatTime(e.End)}` : this.formatTime(e.Start);
+        if (startsToday) return formatLabel(LABELS.agendaFrom, this.formatTime(e.Start));
+        if (endsToday) return formatLabel(LABELS.agendaUntil, this.formatTime(e.End));
+        return LABELS.allDay;
+    }
+
+    // Hour rows stay as the click, drop and resize targets; timed events are drawn over them in the timed layer,
+    // and all-day or 24h+ events go in the all-day lane above. Rows outside the business hours are shaded,
+    // collapsed or left out, and hourTops maps each hour to its pixel offset for the layer.
+    generateHoursWithSlots(datesForSlots) {
+        let rows = [];
+        const now = this.now();
+        const currentHour = now.getHours();
+        const todayStr = now.toDateString();
+        const isTodayPage = this.currentDate.toDateString() === todayStr;
+        const timedEvents = this.visibleEvents.filter(e => !this.isAllDayLaneEvent(e));
+        const dayItems = datesForSlots.map(d => timedItems(d, timedEvents));
+        const workingHours = datesForSlots.map(d => this.workingIntervals(d));
+        const rowHeights = this.hourRowHeights(workingHours, dayItems);
+        const holidayCells = datesForSlots.map((d, i) => ({ id: `holiday-${i}`, holidays: this.holidaysOn(d) }));
+        const hourTops = rowHeights.reduce((tops, height) => tops.concat(tops[tops.length - 1] + height), [0]);
+        const toPx = minutes => {
+            const h = Math.min(Math.floor(minutes / 60), 23);
+            return hourTops[h] + ((minutes - h * 60) / 60) * rowHeights[h];
+        };
+
+        for(let h=0; h<24; h++) {
+            if (!rowHeights[h]) continue;
+            let hourLabel = this.formatHour(h);
+            let isCurrentHourRow = (h === currentHour && isTodayPage && this.currentView === 'day');
+            let isCollapsed = rowHeights[h] < HOUR_HEIGHT;
+            let rowSlots = datesForSlots.map((dateObj, index) => {
+                // Slot times are on the display timezone's clock; the ISO string is the matching UTC instant
+                let createDt = new Date(dateObj);
+                createDt.setHours(h, 0, 0, 0);
+                return {
+                    id: `slot-${h}-${index}`,
+                    class: `week-slot${dateObj.toDateString() === todayStr ? ' today-column' : ''}${holidayCells[index].holidays.length ? ' holiday-column' : ''}`,
+                    isoDate: this.fromDisplay(createDt).toISOString()
+                };
+            });
+            rows.push({
+                id: `row-${h}`, label: isCollapsed ? '' : hourLabel, weekSlots: rowSlots,
+                class: `time-row${isCurrentHourRow ? ' current-hour-highlight' : ''}${isCollapsed ? ' collapsed-hour' : ''}`,
+                style: isCollapsed ? `height: ${rowHeights[h]}px;` : ''
+            });
+        }
+        this.hours = rows;
+        this.holidayCells = holidayCells;
+
+        const maxLanes = parseInt(this.maxRecordsPerDay, 10) || this.defaultColors.maxRecords;
+        const lane = this.layoutDayBars(this.visibleEvents.filter(e => this.isAllDayLaneEvent(e)), datesForSlots, maxLanes, 'allday');
+        this.allDayCells = datesForSlots.map((d, i) => ({
+            id: `allday-${i}`, col: i,
+            class: d.toDateString() === todayStr ? 'allday-cell today-column' : 'allday-cell',
+            style: `grid-column: ${i + 1};`,
+            isoDate: this.toIsoDateString(d),
+            allEvents: lane.perDay[i].events,
+            popoverDateLabel: d.toLocaleDateString(LOCALE, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+        }));
+        this.allDayBars = lane.bars.map(b => ({ ...b, style: `${b.style} grid-row: ${b.lane + 1};` }));
+        this.allDayMoreLinks = lane.perDay
+            .map((d, i) => ({ id: `allday-${i}`, label: formatLabel(LABELS.showMore, d.hidden), hidden: d.hidden, style: `grid-column: ${i + 1}; grid-row: ${lane.laneCount + 1};` }))
+            .filter(m => m.hidden);
+        this.allDayLaneStyle = `grid-template-columns: repeat(${datesForSlots.length}, 1fr); grid-template-rows: ${lane.laneCount ? `repeat(${lane.laneCount}, 22px) ` : ''}minmax(20px, auto);`;
+
+        this.timedColumns = datesForSlots.map((d, i) => ({
+            id: `tcol-${i}`,
+            blocks: this.layoutTimedBlocks(d, dayItems[i], toPx),
+            offHours: this.offHoursBands(workingHours[i], toPx).map((band, b) => ({ key: `off-${i}-${b}`, style: band }))
+        }));
+
+        // Scroll to the start of the working day once per page, not on every re-render of the same page
+        const starts = workingHours.filter(Boolean).flat().map(w => w[0]);
+        const gridKey = `${this.currentView}-${this.toIsoDateString(datesForSlots[0])}-${this.nonWorkingHours}`;
+        if (starts.length && gridKey !== this.scrolledGridKey) {
+            this.pendingScrollTop = toPx(Math.min(...starts));
+            this.scrolledGridKey = gridKey;
+        }
+    }
+
+    // Brings the search result picked last into view once its chip has rendered
+    scrollToHighlight() {
+        if (!this.pendingHighlightScroll) return;
+        const chip = this.template.querySelector('.search-highlight');
+        if (!chip) return;
+        this.pendingHighlightScroll = false;
+        if (chip.scrollIntoView) chip.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }
+
+    scrollToWorkingDay() {
+        if (this.pendingScrollTop === undefined || this.pendingScrollTop === null) return;
+        const body = this.template.querySelector('.week-body-scroll');
+        if (!body) return;
+        body.scrollTop = this.pendingScrollTop;
+        this.pendingScrollTop = null;
+    }
+
+    // Working time on one display-timezone day as [from, to] minute ranges, read from the business hours' own
+    // timezone; null when no business hours apply. Neighbouring days are checked as their hours can cross midnight here.
+    workingIntervals(day) {
+        const hours = this.activeBusinessHours;
+        if (!hours) return null;
+        const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        const minutesOf = dt => (dt >= dayEnd ? 24 * 60 : dt.getHours() * 60 + dt.getMinutes());
+        const intervals = [];
+        [-1, 0, 1].forEach(offset => {
+            const local = new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset);
+            const window = hours.days[local.getDay()];
+            if (!window) return;
+            const at = minutes => this.toDisplay(fromWallClock(new Date(local.getFullYear(), local.getMonth(), local.getDate(), 0, minutes), hours.timeZone));
+            const from = at(window.start);
+            const to = at(window.end);
+            if (to <= dayStart || from >= dayEnd) return;
+            intervals.push([from <= dayStart ? 0 : minutesOf(from), minutesOf(to)]);
+        });
+        return intervals.sort((a, b) => a[0] - b[0]);
+    }
+
+    // Without business hours Saturday and Sunday are the days off
+    isWorkingDay(day) {
+        const intervals = this.workingIntervals(day);
+        return intervals ? intervals.length > 0 : day.getDay() % 6 !== 0;
+    }
+
+    // Row height per hour. When non-working hours collapse or hide, only the rows from the earliest start to the
+    // latest end of the visible days, widened to take in any timed events, keep their full height.
+    hourRowHeights(workingHours, dayItems) {
+        const heights = new Array(24).fill(HOUR_HEIGHT);
+        const working = workingHours.filter(Boolean).flat();
+        if (this.nonWorkingHours === 'shade' || !working.length) return heights;
+        const spans = working.concat(dayItems.flat().map(item => [item.fromMinute, item.toMinute]));
+        const first = Math.floor(Math.min(...spans.map(span => span[0])) / 60);
+        const last = Math.ceil(Math.max(...spans.map(span => span[1])) / 60);
+        return heights.map((height, h) => (h >= first && h < last ? height : (this.nonWorkingHours === 'hide' ? 0 : COLLAPSED_HOUR_HEIGHT)));
+    }
+
+    // Styles for the shaded bands between working intervals
+    offHoursBands(intervals, toPx) {
+        if (!intervals) return [];
+        const bands = [];
+        let from = 0;
+        intervals.concat([[24 * 60, 24 * 60]]).forEach(([start, end]) => {
+            if (start > from && toPx(start) > toPx(from)) bands.push(`top: ${toPx(from)}px; height: ${toPx(start) - toPx(from)}px;`);
+            from = Math.max(from, end);
+        });
+        return bands;
+    }
+
+    isAllDayLaneEvent(e) { return e.IsAllDay || e.End - e.Start >= DAY_MS; }
+
+    // Bars for packDayBars, keyed per grid so the same event can appear in several weeks
+    layoutDayBars(events, columns, maxLanes, keyPrefix, minCol, maxCol) {
+        const layout = packDayBars(events, columns, maxLanes, minCol, maxCol);
+        const bars = layout.bars.map(({ e, lane, first, last, continuesBefore, continuesAfter }) => ({
+            key: `${keyPrefix}-${e.SourceId}-${e.Id}`, Id: e.Id, Title: e.Title, iconName: e.iconName, SeriesId: e.SeriesId, lane,
+            class: `event-chip month-bar${continuesBefore ? ' continues-before' : ''}${continuesAfter ? ' continues-after' : ''}${this.searchClass(e)}`,
+            style: `${e.style} grid-column: ${first + 1} / span ${last - first + 1};`
+        }));
+        return { ...layout, bars };
+    }
+
+    // Timed blocks for one day, side by side where they overlap
+    layoutTimedBlocks(day, items, toPx) {
+        const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+        return packTimedColumns(items).map(item => this.toTimedBlock(item, dayStart, dayEnd, toPx));
+    }
+
+    toTimedBlock(item, dayStart, dayEnd, toPx) {
+        const top = toPx(item.fromMinute);
+        const height = Math.max(toPx(item.toMinute) - top, (MIN_BLOCK_MINUTES / 60) * HOUR_HEIGHT);
+        const width = 100 / item.columnCount;
+        const e = item.e;
+        return {
+            key: `${dayStart}-${e.SourceId}-${e.Id}`, Id: e.Id, Title: e.Title, iconName: e.iconName, SeriesId: e.SeriesId,
+            class: `event-chip-small timed-block${this.searchClass(e)}`,
+            timeLabel: e.End > e.Start ? `${this.formatTime(e.Start)} – ${this.formatTime(e.End)}` : this.formatTime(e.Start),
+            canResize: e.End.getTime() <= dayEnd,
+            style: `${e.style} top: ${top}px; height: ${height}px; left: ${item.col * width}%; width: ${width}%;`
+        };
+    }
+
+    toIsoDateString(d) {
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    isEventOnDate(event, targetDate) {
+        const tDate = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate()).getTime();
+        const sDate = new Date(event.Start.getFullYear(), event.Start.getMonth(), event.Start.getDate()).getTime();
+        const eDate = new Date(event.End.getFullYear(), event.End.getMonth(), event.End.getDate()).getTime();
+        return tDate >= sDate && tDate <= eDate;
+    }
+
+    async handleGridClick(event) {
+        if(event.target.closest('.event-chip') || event.target.closest('.event-chip-small') || event.target.closest('.show-more-link') || event.target.closest('.popover-container') || event.target.closest('.hover-card')) {
              return;
         }
         
         let dateStr = event.currentTarget.dataset.date;
         if(!dateStr) return;
 
+        // Hour slots carry an instant and only warn for a holiday in that hour; day cells carry a date
+        const slotStart = dateStr.includes('T') ? this.toDisplay(new Date(dateStr)) : null;
+        const holidays = slotStart
+            ? this.holidaysOn(slotStart, slotStart, new Date(slotStart.getTime() + SLOT_MINUTES * 60000))
+            : this.holidaysOn(this.parseFieldValue(dateStr));
+        if (holidays.length) {
+            const confirmed = await LightningConfirm.open({
+                message: formatLabel(LABELS.holidayWarning, holidays.map(h => h.Name).join(', ')), label: LABELS.holiday, theme: 'warning'
+            });
+            if (!confirmed) return;
+        }
+
         if (this.selectedCreationObject === SELECT_AT_CREATION_KEY) {
             this.clickedGridDate = dateStr;
             this.showCreationModal = true;
@@ -560,14 +2103,14 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
                     if (dStr.includes('T')) {
                         // Case: DATETIME field & Week/Day view click (already has time) -> Use full string
                         return dStr;
-                    } else {
-                        // Case: DATETIME field & Month view click (no time) -> Append midnight UTC
-                        return `${dStr}T00:00:00.000Z`;
                     }
+                    // Case: DATETIME field & Month view click (no time) -> Midnight in the display timezone
+                    const [y, m, d] = dStr.split('-').map(Number);
+                    return this.fromDisplay(new Date(y, m - 1, d)).toISOString();
                 }
-                
-                // Case: DATE field -> Always ensure we only send YYYY-MM-DD
-                return dStr.split('T')[0];
+
+                // Case: DATE field -> The slot's day in the display timezone, as YYYY-MM-DD
+                return dStr.includes('T') ? this.toIsoDateString(this.toDisplay(new Date(dStr))) : dStr;
             };
 
             defaults[startField] = formatDate(startMeta, dateStr);
@@ -578,7 +2121,12 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
             // Clean up nulls
             Object.keys(defaults).forEach(key => defaults[key] === null && delete defaults[key]);
 
-            // 3. Navigate
+            // 3. Open the quick create form, or the standard page where the form cannot be used
+            const source = this.calendarSources.find(s => s.objectName === objectName);
+            if (source && !RECORD_FORM_UNSUPPORTED_OBJECTS.includes(objectName)) {
+                this.openQuickForm(source, null, defaults);
+                return;
+            }
             this[NavigationMixin.Navigate]({ 
                 type: 'standard__objectPage', 
                 attributes: { objectApiName: objectName, actionName: 'new' }, 
@@ -597,7 +2145,7 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
     handleCreationRadioChange(event) {
         const selectedValue = event.detail.value;
         this.selectedCreationObject = selectedValue;
-        localStorage.setItem('multi_cal_creation_obj', selectedValue);
+        this.persistViewChange();
     }
 
     handleCreationModalSelect(event) {
@@ -618,7 +2166,385 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
         event.stopPropagation();
         const recId = event.currentTarget.dataset.id;
         const evt = this.rawEvents.find(e => e.Id === recId);
-        this[NavigationMixin.Navigate]({ type: 'standard__recordPage', attributes: { recordId: recId, objectApiName: evt ? evt.ObjectName : 'Event', actionName: 'view' } });
+        // Generated occurrences have no record of their own, so they open their series
+        const recordId = evt && evt.IsVirtual ? evt.SeriesId : recId;
+        const source = evt && this.calendarSources.find(s => s.id === evt.SourceId);
+        if (source && !RECORD_FORM_UNSUPPORTED_OBJECTS.includes(source.objectName)) {
+            this.isPopoverOpen = false;
+            this.openQuickForm(source, recordId, {});
+            return;
+        }
+        this.navigateToRecord(recordId, evt ? evt.ObjectName : 'Event');
+    }
+
+    navigateToRecord(recordId, objectApiName, actionName = 'view') {
+        this[NavigationMixin.Navigate]({ type: 'standard__recordPage', attributes: { recordId, objectApiName, actionName } });
+    }
+
+    // --- HOVER CARD ---
+    // Shown under the hovered or focused chip. It stays open while the pointer or focus moves from the chip into the
+    // card, so its actions can be reached.
+    handleChipHover(event) {
+        if (this.draggedEventId || this.resizeState) return;
+        const evt = this.rawEvents.find(e => e.Id === event.currentTarget.dataset.id);
+        if (!evt) return;
+        const rect = event.currentTarget.getBoundingClientRect();
+        const left = Math.max(0, Math.min(rect.left, window.innerWidth - HOVER_CARD_WIDTH));
+        const below = rect.bottom + 240 < window.innerHeight;
+        this.hoverCard = {
+            Id: evt.Id, Title: evt.Title, iconName: evt.iconName, SeriesId: evt.SeriesId,
+            rangeLabel: this.formatEventRange(evt), details: evt.Details || [],
+            canDelete: !evt.IsVirtual,
+            style: `left: ${left}px; width: ${HOVER_CARD_WIDTH}px; ${below ? `top: ${rect.bottom}px;` : `bottom: ${window.innerHeight - rect.top}px;`}`
+        };
+    }
+
+    handleChipLeave(event) {
+        const card = this.template.querySelector('.hover-card');
+        if (card && event.relatedTarget && card.contains(event.relatedTarget)) return;
+        this.hoverCard = null;
+    }
+
+    handleHoverCardLeave(event) {
+        if (event.relatedTarget && event.relatedTarget.closest && event.relatedTarget.closest(`[data-id="${this.hoverCard.Id}"]`)) return;
+        if (event.currentTarget.contains(event.relatedTarget)) return;
+        this.hoverCard = null;
+    }
+
+    handleHoverCardAction(event) {
+        const action = event.currentTarget.dataset.action;
+        const evt = this.rawEvents.find(e => e.Id === this.hoverCard.Id);
+        this.hoverCard = null;
+        if (!evt) return;
+        const recordId = evt.IsVirtual ? evt.SeriesId : evt.Id;
+        const source = this.calendarSources.find(s => s.id === evt.SourceId);
+        if (action === 'open') this.navigateToRecord(recordId, evt.ObjectName);
+        else if (action === 'delete') this.deleteEvent(evt);
+        else if (source && !RECORD_FORM_UNSUPPORTED_OBJECTS.includes(source.objectName)) this.openQuickForm(source, recordId, {});
+        else this.navigateToRecord(recordId, evt.ObjectName, 'edit');
+    }
+
+    async deleteEvent(evt) {
+        const confirmed = await LightningConfirm.open({ message: formatLabel(LABELS.deleteRecordConfirm, evt.Title), label: LABELS.deleteRecord, theme: 'warning' });
+        if (!confirmed) return;
+        try {
+            await deleteEventRecord({ recordId: evt.Id });
+            // A deleted series master takes its generated occurrences with it
+            this.rawEvents = this.rawEvents.filter(e => e.Id !== evt.Id && !(e.IsVirtual && e.SeriesId === evt.Id));
+            this.eventCache.clear();
+            this.eventCache.set(this.getRangeKey(), this.rawEvents);
+            this.renderView();
+            this.showToast(LABELS.success, formatLabel(LABELS.recordDeleted, evt.Title), 'success');
+        } catch (error) {
+            this.showToast(LABELS.error, this.reduceError(error), 'error');
+        }
+    }
+
+    // Start and end in full; all-day ranges end on their last day
+    formatEventRange(e) {
+        const dateOptions = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+        const first = e.Start.toLocaleDateString(LOCALE, dateOptions);
+        const last = e.End.toLocaleDateString(LOCALE, dateOptions);
+        if (e.IsAllDay) return formatLabel(LABELS.allDayRange, first === last ? first : `${first} – ${last}`, LABELS.allDay);
+        if (e.End <= e.Start) return `${first}, ${this.formatTime(e.Start)}`;
+        if (first === last) return `${first}, ${this.formatTime(e.Start)} – ${this.formatTime(e.End)}`;
+        return `${first}, ${this.formatTime(e.Start)} – ${last}, ${this.formatTime(e.End)}`;
+    }
+
+    // Field values as the user's locale writes them; blanks come back as ''
+    formatDetailValue(value, type) {
+        if (value === undefined || value === null || value === '') return '';
+        if (type === 'BOOLEAN') return value ? '✓' : '✗';
+        if (type === 'CURRENCY') return new Intl.NumberFormat(LOCALE, { style: 'currency', currency: CURRENCY }).format(value);
+        if (type === 'PERCENT') return `${Number(value).toLocaleString(LOCALE)}%`;
+        if (NUMBER_TYPES.includes(type)) return Number(value).toLocaleString(LOCALE);
+        if (type === 'DATE') return this.parseFieldValue(value).toLocaleDateString(LOCALE, { dateStyle: 'medium' });
+        if (type === 'DATETIME') return this.parseFieldValue(value).toLocaleString(LOCALE, { dateStyle: 'medium', timeStyle: 'short' });
+        if (type === 'MULTIPICKLIST') return String(value).split(';').join(', ');
+        return String(value);
+    }
+
+    // --- QUICK CREATE / EDIT ---
+    // The form shows the source's quick fields (its title and date fields when none are picked); the date fields
+    // are always included so a new record gets the clicked date
+    openQuickForm(source, recordId, defaults) {
+        const configured = source.quickFields && source.quickFields.length ? source.quickFields : [source.titleField];
+        const names = [...new Set([...configured, source.startField, source.endField])]
+            .filter(name => name && name !== 'Id' && !SYSTEM_DATE_FIELDS.includes(name));
+        const objectLabel = source.objectLabel || source.objectName;
+        this.quickForm = {
+            objectName: source.objectName, recordId, sourceId: source.id,
+            heading: formatLabel(recordId ? LABELS.quickEdit : LABELS.quickCreate, objectLabel),
+            fields: names.map(name => ({ name, value: defaults[name] }))
+        };
+    }
+
+    closeQuickForm() { this.quickForm = null; }
+
+    handleQuickFormOpenRecord() {
+        const { recordId, objectName } = this.quickForm;
+        this.quickForm = null;
+        this.navigateToRecord(recordId, objectName);
+    }
+
+    handleQuickFormSuccess(event) {
+        const { sourceId, recordId } = this.quickForm;
+        const source = this.calendarSources.find(s => s.id === sourceId);
+        this.quickForm = null;
+        this.showToast(LABELS.success, recordId ? LABELS.recordSaved : LABELS.recordCreated, 'success');
+        if (source) this.refreshRecords(source, [event.detail.id]);
+    }
+
+    handleOpenSeries(event) {
+        event.stopPropagation();
+        const seriesId = event.currentTarget.dataset.series;
+        const evt = this.rawEvents.find(e => e.SeriesId === seriesId);
+        this.navigateToRecord(seriesId, evt ? evt.ObjectName : 'Event');
+    }
+
+    isVirtualOccurrence(recId) {
+        const evt = this.rawEvents.find(e => e.Id === recId);
+        if (!evt || !evt.IsVirtual) return false;
+        this.showToast(LABELS.recurringSeries, formatLabel(LABELS.virtualOccurrence, evt.Title), 'info');
+        return true;
+    }
+
+    // --- DRAG & DROP RESCHEDULING ---
+    handleDragStart(event) {
+        if (this.resizeState || this.isVirtualOccurrence(event.currentTarget.dataset.id)) { event.preventDefault(); return; }
+        this.isPopoverOpen = false;
+        this.hoverCard = null;
+        this.draggedEventId = event.currentTarget.dataset.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this.draggedEventId);
+    }
+
+    handleDragEnd() {
+        this.draggedEventId = null;
+        this.setDropTarget(null);
+    }
+
+    // Timed blocks cover the hour slots, so a drop on a block goes to the slot under the pointer
+    getDropSlot(event) {
+        return event.currentTarget.dataset.date ? event.currentTarget : this.findSlotAt(event.clientX, event.clientY);
+    }
+
+    setDropTarget(el) {
+        if (this.dropTargetEl === el) return;
+        if (this.dropTargetEl) this.dropTargetEl.classList.remove('drop-target');
+        if (el) el.classList.add('drop-target');
+        this.dropTargetEl = el;
+    }
+
+    handleDragOver(event) {
+        if (!this.draggedEventId) return;
+        const slot = this.getDropSlot(event);
+        if (!slot) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.setDropTarget(slot);
+    }
+
+    handleDragLeave(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) this.setDropTarget(null);
+    }
+
+    handleEventDrop(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const slot = this.getDropSlot(event);
+        this.setDropTarget(null);
+        this.dropDraggedEvent(slot && slot.dataset.date);
+    }
+
+    // Month weeks and the all-day lane draw bars on top of their day cells, so the target day comes from the
+    // pointer's column within the lane
+    getLaneDropCell(event) {
+        const columns = event.currentTarget.querySelectorAll('[data-col]').length;
+        const rect = event.currentTarget.getBoundingClientRect();
+        const col = Math.min(columns - 1, Math.max(0, Math.floor(((event.clientX - rect.left) / rect.width) * columns)));
+        return event.currentTarget.querySelector(`[data-col="${col}"]`);
+    }
+
+    handleLaneDragOver(event) {
+        if (!this.draggedEventId) return;
+        const cell = this.getLaneDropCell(event);
+        if (!cell || !cell.dataset.date) { this.setDropTarget(null); return; }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.setDropTarget(cell);
+    }
+
+    handleLaneDragLeave(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) this.setDropTarget(null);
+    }
+
+    handleLaneDrop(event) {
+        event.preventDefault();
+        const cell = this.getLaneDropCell(event);
+        this.setDropTarget(null);
+        this.dropDraggedEvent(cell && cell.dataset.date);
+    }
+
+    dropDraggedEvent(dateStr) {
+        const recId = this.draggedEventId;
+        this.draggedEventId = null;
+        const evt = this.rawEvents.find(e => e.Id === recId);
+        if (!evt || !dateStr) return;
+
+        const { start, end } = this.computeDroppedRange(evt, dateStr);
+        if (start.getTime() === evt.Start.getTime()) return;
+        this.rescheduleEvent(evt, start, end);
+    }
+
+    // Month cells shift by whole days (keeping time of day); hour slots shift to the slot hour, keeping minutes
+    computeDroppedRange(evt, dateStr) {
+        const start = new Date(evt.Start);
+        const end = new Date(evt.End);
+        if (dateStr.includes('T')) {
+            const evtHour = new Date(evt.Start);
+            evtHour.setMinutes(0, 0, 0);
+            const offset = this.toDisplay(new Date(dateStr)).getTime() - evtHour.getTime();
+            return { start: new Date(start.getTime() + offset), end: new Date(end.getTime() + offset) };
+        }
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const evtDay = new Date(evt.Start.getFullYear(), evt.Start.getMonth(), evt.Start.getDate());
+        const dayDiff = Math.round((new Date(y, m - 1, d).getTime() - evtDay.getTime()) / 86400000);
+        start.setDate(start.getDate() + dayDiff);
+        end.setDate(end.getDate() + dayDiff);
+        return { start, end };
+    }
+
+    rescheduleEvent(evt, newStart, newEnd) {
+        const source = this.getSourceForEvent(evt);
+        if (!source) return;
+        const startField = source.startField || 'CreatedDate';
+        if (SYSTEM_DATE_FIELDS.includes(startField)) {
+            this.showToast(LABELS.cannotReschedule, formatLabel(LABELS.systemDateField, source.objectLabel), 'warning');
+            return;
+        }
+        const endField = this.hasEditableEndField(source) ? source.endField : null;
+        this.saveEventRange(evt, newStart, newEnd, startField, endField, formatLabel(LABELS.eventMoved, evt.Title, newStart.toLocaleString(LOCALE)));
+    }
+
+    getSourceForEvent(evt) { return this.calendarSources.find(s => s.id === evt.SourceId); }
+
+    hasEditableEndField(source) { return !!(source && source.endField && !SYSTEM_DATE_FIELDS.includes(source.endField)); }
+
+    // Optimistic update of rawEvents, rolled back with a toast if the save fails
+    async saveEventRange(evt, newStart, newEnd, startField, endField, successMessage) {
+        const previous = this.rawEvents;
+        this.rawEvents = previous.map(e => (e === evt ? { ...e, Start: newStart, End: newEnd } : e));
+        this.renderView();
+
+        try {
+            const fieldMetaList = await getAllFields({ objectName: evt.ObjectName });
+            const typeOf = (name) => {
+                const meta = fieldMetaList.find(f => f.value === name);
+                return meta ? meta.type : 'DATETIME';
+            };
+
+            await updateEventDates({
+                recordId: evt.Id,
+                startField,
+                endField,
+                startValue: startField ? this.formatFieldValue(typeOf(startField), newStart) : null,
+                endValue: endField ? this.formatFieldValue(typeOf(endField), newEnd) : null
+            });
+            // The record may now belong to other cached ranges; keep only the one on screen
+            this.eventCache.clear();
+            this.eventCache.set(this.getRangeKey(), this.rawEvents);
+            this.showToast(LABELS.saved, successMessage, 'success');
+        } catch (error) {
+            this.rawEvents = previous;
+            this.renderView();
+            this.showToast(LABELS.saveFailed, this.reduceError(error), 'error');
+        }
+    }
+
+    // --- RESIZE (WEEK/DAY VIEW) ---
+    handleResizeStart(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const evt = this.rawEvents.find(e => e.Id === event.currentTarget.dataset.id);
+        if (!evt || this.isVirtualOccurrence(evt.Id)) return;
+        const source = this.getSourceForEvent(evt);
+        if (!this.hasEditableEndField(source)) {
+            this.showToast(LABELS.cannotResize, formatLabel(LABELS.noEndField, source ? source.objectLabel : evt.ObjectName), 'warning');
+            return;
+        }
+        this.isPopoverOpen = false;
+        this.resizeState = { evt, source, targetEl: null, newEnd: null };
+        window.addEventListener('mousemove', this.handleResizeMove);
+        window.addEventListener('mouseup', this.handleResizeEnd);
+    }
+
+    handleResizeMove = (event) => {
+        if (!this.resizeState) return;
+        const slotEl = this.findSlotAt(event.clientX, event.clientY);
+        if (slotEl) this.resizeState.newEnd = this.getSnappedTime(slotEl, event.clientY);
+        if (slotEl === this.resizeState.targetEl) return;
+        if (this.resizeState.targetEl) this.resizeState.targetEl.classList.remove('resize-target');
+        if (slotEl) slotEl.classList.add('resize-target');
+        this.resizeState.targetEl = slotEl;
+    };
+
+    // Time at the pointer's height within an hour slot, rounded to RESIZE_SNAP_MINUTES
+    getSnappedTime(slotEl, clientY) {
+        const rect = slotEl.getBoundingClientRect();
+        const fraction = rect.height ? Math.min(1, Math.max(0, (clientY - rect.top) / rect.height)) : 1;
+        const minutes = Math.round((fraction * SLOT_MINUTES) / RESIZE_SNAP_MINUTES) * RESIZE_SNAP_MINUTES;
+        return new Date(this.toDisplay(new Date(slotEl.dataset.date)).getTime() + minutes * 60000);
+    }
+
+    handleResizeEnd = (event) => {
+        const state = this.resizeState;
+        this.stopResizeTracking();
+        if (!state) return;
+        // The mouseup is followed by a click on the chip or slot underneath; swallow it
+        window.addEventListener('click', this.swallowClick, { capture: true, once: true });
+        window.addEventListener('mousedown', this.releaseClickSwallow, { capture: true, once: true });
+
+        const slotEl = this.findSlotAt(event.clientX, event.clientY);
+        const newEnd = slotEl && slotEl.dataset.date ? this.getSnappedTime(slotEl, event.clientY) : state.newEnd;
+        if (!newEnd) return;
+        if (newEnd <= state.evt.Start) {
+            this.showToast(LABELS.invalidEndTime, LABELS.endBeforeStart, 'error');
+            return;
+        }
+        if (newEnd.getTime() === state.evt.End.getTime()) return;
+        this.saveEventRange(state.evt, state.evt.Start, newEnd, null, state.source.endField, formatLabel(LABELS.eventResized, state.evt.Title, newEnd.toLocaleString(LOCALE)));
+    };
+
+    swallowClick = (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        window.removeEventListener('mousedown', this.releaseClickSwallow, { capture: true });
+    };
+
+    releaseClickSwallow = () => { window.removeEventListener('click', this.swallowClick, { capture: true }); };
+
+    stopResizeTracking() {
+        window.removeEventListener('mousemove', this.handleResizeMove);
+        window.removeEventListener('mouseup', this.handleResizeEnd);
+        if (this.resizeState && this.resizeState.targetEl) this.resizeState.targetEl.classList.remove('resize-target');
+        this.resizeState = null;
+    }
+
+    findSlotAt(x, y) {
+        return [...this.template.querySelectorAll('.week-slot')].find(el => {
+            const r = el.getBoundingClientRect();
+            return x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+        });
+    }
+
+    formatFieldValue(type, dateObj) {
+        return type === 'DATE' ? this.toIsoDateString(dateObj) : this.fromDisplay(dateObj).toISOString();
+    }
+
+    reduceError(error) {
+        if (error && error.body && error.body.message) return error.body.message;
+        return error && error.message ? error.message : LABELS.unknownError;
     }
 
     handleShowMoreClick(event) {
@@ -628,20 +2554,16 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
 
         if (this.isMonthView) {
             targetData = this.monthDays.find(d => d.id === dayId);
-        } else if (this.isWeekView) {
-            for (const hour of this.hours) {
-                targetData = hour.weekSlots.find(s => s.id === dayId);
-                if (targetData) break;
-            }
-        } else if (this.isDayView) {
-            targetData = this.hours.find(h => h.id === dayId);
+        } else if (this.isTimeGridView) {
+            targetData = this.allDayCells.find(c => c.id === dayId);
         }
 
         if (targetData) {
             this.popoverLabel = targetData.popoverDateLabel;
-            this.popoverEvents = targetData.allEvents;
+            this.popoverEvents = targetData.allEvents.map(e => ({ ...e, class: `event-chip${this.searchClass(e)}` }));
 
-            const cellElement = event.currentTarget.closest('.day, .week-slot, .day-slot');
+            // "+ More" links sit in the lane grid rather than inside their day cell
+            const cellElement = this.template.querySelector(`.day[data-date="${targetData.isoDate}"], .allday-cell[data-date="${targetData.isoDate}"]`);
             if (cellElement) {
                 const rect = cellElement.getBoundingClientRect();
                 let top = rect.top - 5;
@@ -669,9 +2591,12 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
     }
 
     handleThemeChange(e) { 
-        this[e.target.dataset.id] = e.detail.value;
-        if(e.target.dataset.id === 'maxRecordsPerDay') {
+        this[e.target.dataset.id] = e.target.type === 'checkbox' ? e.detail.checked : e.detail.value;
+        this.isConfigDirty = true;
+        if(['maxRecordsPerDay', 'businessHoursId', 'nonWorkingHours', 'hideWeekends'].includes(e.target.dataset.id)) {
             this.renderView();
+        } else if(e.target.dataset.id === 'weekStart') {
+            this.loadVisibleRange();
         }
     }
     
@@ -686,21 +2611,180 @@ export default class MultiObjectCalendar extends NavigationMixin(LightningElemen
     }
 
     openSettings() { this.isSettingsOpen = true; }
-    closeSettings() { this.isSettingsOpen = false; this.cancelEdit(); }
+
+    // Downloads the events shown in the visible range as an RFC 5545 calendar; sources hidden in the legend are left out
+    handleExportIcs() {
+        const events = this.visibleEvents;
+        if (!events.length) {
+            this.showToast(LABELS.nothingToExport, LABELS.nothingToExportMessage, 'info');
+            return;
+        }
+        const origin = window.location.origin;
+        const labels = new Map(this.calendarSources.map(s => [s.id, s.objectLabel]));
+        const ics = buildCalendar(events.map(e => ({
+            uid: `${e.Id}@${window.location.hostname}`,
+            title: e.Title, isAllDay: e.IsAllDay,
+            start: e.IsAllDay ? e.Start : this.fromDisplay(e.Start),
+            end: e.IsAllDay ? e.End : this.fromDisplay(e.End),
+            url: `${origin}/lightning/r/${e.ObjectName}/${e.IsVirtual ? e.SeriesId : e.Id}/view`,
+            category: labels.get(e.SourceId)
+        })), '-//Multi-Object Calendar//Salesforce//EN');
+
+        const link = document.createElement('a');
+        link.href = 'data:text/calendar;charset=utf-8,' + encodeURIComponent(ics);
+        link.download = `${(this.activeConfigName || 'calendar').replace(/[^\w-]+/g, '_')}_${this.toIsoDateString(this.getVisibleRange().start)}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // --- ICS IMPORT ---
+    openImport() {
+        this.importRows = [];
+        this.importWarnings = [];
+        const sources = this.importSourceOptions;
+        this.importSourceId = sources.length === 1 ? sources[0].value : null;
+        this.isImportOpen = true;
+    }
+
+    closeImport() { this.isImportOpen = false; }
+
+    async handleImportFile(event) {
+        const file = event.detail.files && event.detail.files[0];
+        if (!file) return;
+        try {
+            const horizon = new Date();
+            horizon.setDate(horizon.getDate() + IMPORT_HORIZON_DAYS);
+            const parsed = parseCalendar(await file.text(), horizon, this.activeTimeZone);
+            this.importWarnings = parsed.warnings;
+            this.importRows = parsed.events.map(e => ({
+                ...e,
+                selected: true, imported: false,
+                whenLabel: this.formatImportRange(e),
+                statusLabel: '', statusClass: ''
+            }));
+            if (!this.importRows.length) this.showToast(LABELS.noEventsFound, formatLabel(LABELS.noEventsFoundMessage, file.name), 'warning');
+        } catch (error) {
+            this.importRows = [];
+            this.showToast(LABELS.cannotReadFile, this.reduceError(error), 'error');
+        }
+    }
+
+    // Timed rows are shown on the display timezone's clock
+    formatImportRange(e) {
+        if (e.isAllDay) {
+            const options = { dateStyle: 'medium' };
+            const lastDay = this.getImportLastDay(e);
+            const first = e.start.toLocaleDateString(LOCALE, options);
+            const last = lastDay.toLocaleDateString(LOCALE, options);
+            return formatLabel(LABELS.allDayRange, first === last ? first : `${first} – ${last}`, LABELS.allDay);
+        }
+        const options = { dateStyle: 'medium', timeStyle: 'short', timeZone: this.activeTimeZone };
+        return `${e.start.toLocaleString(LOCALE, options)} – ${e.end.toLocaleString(LOCALE, options)}`;
+    }
+
+    handleImportSourceChange(event) { this.importSourceId = event.detail.value; }
+
+    handleImportRowToggle(event) {
+        const key = event.target.dataset.key;
+        this.importRows = this.importRows.map(r => (r.key === key ? { ...r, selected: event.target.checked } : r));
+    }
+
+    handleImportSelectAll(event) {
+        const checked = event.target.checked;
+        this.importRows = this.importRows.map(r => (r.imported ? r : { ...r, selected: checked }));
+    }
+
+    // A title field that cannot be set (Id, a formula, an auto-number Name) leaves the summary to Subject or Name instead
+    async getImportTitleField(source) {
+        const fallback = source.objectName === 'Event' || source.objectName === 'Task' ? 'Subject' : 'Name';
+        const fields = await getFlexibleTitleFields({ objectName: source.objectName }).catch(() => []);
+        const createable = name => fields.some(f => f.value === name && f.createable === 'true');
+        if (source.titleField && createable(source.titleField)) return source.titleField;
+        return createable(fallback) ? fallback : null;
+    }
+
+    async handleImportSubmit() {
+        const source = this.calendarSources.find(s => String(s.id) === this.importSourceId);
+        const pending = this.importRows.filter(r => r.selected && !r.imported);
+        if (!source || !pending.length) return;
+
+        this.isImporting = true;
+        const outcomes = new Map();
+        const titleField = await this.getImportTitleField(source);
+        const batches = [];
+        for (let i = 0; i < pending.length; i += IMPORT_BATCH_SIZE) batches.push(pending.slice(i, i + IMPORT_BATCH_SIZE));
+        try {
+            // One batch at a time, each sent once the previous one has been saved
+            await batches.reduce((previous, batch) => previous
+                .then(() => importEvents({
+                    objectName: source.objectName,
+                    titleField,
+                    startField: source.startField,
+                    endField: source.endField,
+                    rowsJson: JSON.stringify(batch.map(r => this.toImportRow(r)))
+                }))
+                .then(results => results.forEach(res => outcomes.set(batch[res.index].key, res))), Promise.resolve());
+        } catch (error) {
+            pending.filter(r => !outcomes.has(r.key)).forEach(r => outcomes.set(r.key, { success: false, message: this.reduceError(error) }));
+        }
+
+        this.importRows = this.importRows.map(r => {
+            const res = outcomes.get(r.key);
+            if (!res) return r;
+            return {
+                ...r, imported: res.success, selected: !res.success,
+                statusLabel: res.success ? LABELS.importCreated : res.message,
+                statusClass: res.success ? 'slds-text-color_success' : 'slds-text-color_error'
+            };
+        });
+        this.isImporting = false;
+
+        const created = [...outcomes.values()].filter(res => res.success).length;
+        const failed = outcomes.size - created;
+        this.showToast(LABELS.importFinished, formatLabel(LABELS.importFinishedMessage, created, failed), failed ? 'warning' : 'success');
+        if (created) {
+            this.eventCache.clear();
+            this.refreshCalendar();
+        }
+    }
+
+    // All-day events end on the exclusive DTEND (a local midnight), so the last day is the one before it
+    getImportLastDay(r) {
+        const lastDay = new Date(r.end.getFullYear(), r.end.getMonth(), r.end.getDate() - 1);
+        return lastDay > r.start ? lastDay : r.start;
+    }
+
+    // DATE values go over as 'YYYY-MM-DD' (last day inclusive), timed values as UTC ISO strings
+    toImportRow(r) {
+        if (r.isAllDay) {
+            return { title: r.title, start: this.toIsoDateString(r.start), end: this.toIsoDateString(this.getImportLastDay(r)), isAllDay: true };
+        }
+        return { title: r.title, start: r.start.toISOString(), end: r.end.toISOString(), isAllDay: false };
+    }
+
+    closeSettings() {
+        this.isSettingsOpen = false;
+        this.cancelEdit();
+        if (this.isConfigDirty) this.persistConfiguration();
+    }
     switchSettingsTab(e) { e.preventDefault(); this.currentSettingsTab = e.currentTarget.dataset.tab; }
     showToast(title, message, variant) { this.dispatchEvent(new ShowToastEvent({ title, message, variant })); }
     
     previous() { this.isPopoverOpen = false; this.changeDate(-1); }
     next() { this.isPopoverOpen = false; this.changeDate(1); }
-    today() { this.isPopoverOpen = false; this.currentDate = new Date(); this.renderView(); }
-    setView(e) { this.isPopoverOpen = false; this.currentView = e.target.value; this.renderView(); }
+    today() { this.isPopoverOpen = false; this.currentDate = this.now(); this.loadVisibleRange(); }
+    setView(e) { this.isPopoverOpen = false; this.currentView = e.target.value; this.loadVisibleRange(); }
     
     changeDate(dir) {
         const dt = new Date(this.currentDate);
-        if (this.currentView === 'month') dt.setMonth(dt.getMonth() + dir);
-        else if (this.currentView === 'week') dt.setDate(dt.getDate() + (dir * 7));
+        const scale = this.currentView === 'timeline' ? this.timelineScale : this.currentView;
+        if (scale === 'month') dt.setMonth(dt.getMonth() + dir);
+        else if (scale === 'week') dt.setDate(dt.getDate() + (dir * 7));
+        else if (this.currentView === 'agenda') dt.setDate(dt.getDate() + (dir * this.agendaDays));
+        else if (this.currentView === 'year') dt.setFullYear(dt.getFullYear() + dir);
         else dt.setDate(dt.getDate() + dir);
         this.currentDate = dt;
-        this.renderView(); 
+        this.loadVisibleRange(); 
     }
 }
\ No newline at end of file
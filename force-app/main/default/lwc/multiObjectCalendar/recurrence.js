@@ -0,0 +1,56 @@
+// Recurring series on the calendar: Recurrence2 activity series and recurring org holidays
+import { expandSeries } from './icalendar';
+
+// Legacy recurrence picklists mapped onto RRULE parts; RecurrenceDayOfWeekMask bit 0 is Sunday
+const RECURRENCE_FREQUENCIES = {
+    RecursDaily: 'DAILY', RecursEveryWeekday: 'WEEKLY', RecursWeekly: 'WEEKLY', RecursMonthly: 'MONTHLY',
+    RecursMonthlyNth: 'MONTHLY', RecursYearly: 'YEARLY', RecursYearlyNth: 'YEARLY'
+};
+const RECURRENCE_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RECURRENCE_INSTANCES = { First: 1, Second: 2, Third: 3, Fourth: 4, Last: -1 };
+const RECURRENCE_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_MASK = 62;
+
+// Recurrence2 series masters are replaced by their occurrences in the range. Exceptions the query returned take
+// the place of the generated occurrence on their day, and exclusions remove it. Generated occurrences have no
+// record of their own and are marked IsVirtual. Legacy series are never expanded here: Salesforce stores each of
+// their occurrences as its own row, the server leaves the master out, and the rows pass through as they are.
+export function expandRecurrences(events, range) {
+    const taken = new Set(events.filter(e => e.SeriesId && !e.SeriesRule).map(e => `${e.SeriesId}|${e.Start.toDateString()}`));
+    const expanded = [];
+    events.forEach(e => {
+        if (e.IsExclusion) return;
+        if (!e.SeriesRule) { expanded.push(e); return; }
+        const duration = e.End - e.Start;
+        expandSeries(e.Start, e.SeriesRule, range.end).forEach(start => {
+            if (start.getTime() + duration < range.start.getTime() || taken.has(`${e.SeriesId}|${start.toDateString()}`)) return;
+            expanded.push({ ...e, Id: `${e.SeriesId}_${start.getTime()}`, Start: start, End: new Date(start.getTime() + duration), SeriesRule: null, IsVirtual: true });
+        });
+    });
+    return expanded;
+}
+
+// RRULE of a Recurrence2 series master, the only kind of series expanded on the client
+export function getSeriesRule(record) {
+    if (!record.IsRecurrence2 || !record.Recurrence2PatternText) return null;
+    const match = /(?:^|\n)RRULE:([^\r\n]+)/i.exec(record.Recurrence2PatternText);
+    return match ? match[1] : record.Recurrence2PatternText;
+}
+
+// Recurring holidays are a single record with legacy recurrence fields, so their pattern is translated into an RRULE
+export function getHolidayRule(record) {
+    const freq = record.IsRecurrence && RECURRENCE_FREQUENCIES[record.RecurrenceType];
+    if (!freq) return null;
+    const isNth = record.RecurrenceType.endsWith('Nth');
+    const mask = record.RecurrenceType === 'RecursEveryWeekday' ? WEEKDAY_MASK : record.RecurrenceDayOfWeekMask || 0;
+    const days = RECURRENCE_DAY_CODES.filter((code, bit) => Math.floor(mask / 2 ** bit) % 2 === 1);
+    const month = RECURRENCE_MONTHS.indexOf(record.RecurrenceMonthOfYear) + 1;
+
+    const parts = [`FREQ=${freq}`, `INTERVAL=${record.RecurrenceInterval || 1}`];
+    if (isNth && days.length) parts.push(`BYDAY=${days.map(d => `${RECURRENCE_INSTANCES[record.RecurrenceInstance] || 1}${d}`).join(',')}`);
+    else if (freq === 'WEEKLY' && days.length) parts.push(`BYDAY=${days.join(',')}`);
+    if (!isNth && record.RecurrenceDayOfMonth && freq !== 'WEEKLY') parts.push(`BYMONTHDAY=${record.RecurrenceDayOfMonth}`);
+    if (freq === 'YEARLY' && month) parts.push(`BYMONTH=${month}`);
+    if (record.RecurrenceEndDateOnly) parts.push(`UNTIL=${record.RecurrenceEndDateOnly.replace(/-/g, '')}`);
+    return parts.join(';');
+}
@@ -0,0 +1,47 @@
+// Timezone helpers for the calendar. Event times are kept as "wall-clock" Dates: Dates whose local fields
+// (getDate(), getHours() ...) read as the time in the display timezone, so grid code can use plain Date
+// methods whatever zone the browser itself is in. Values go back to real instants before they are saved.
+
+const DAY_MS = 86400000;
+
+const browserZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Milliseconds `zone` is ahead of UTC at `instant`
+export function zoneOffset(instant, zone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(instant)).forEach(p => { parts[p.type] = p.value; });
+    const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+// Instant -> wall-clock Date in `zone`
+export function toWallClock(date, zone) {
+    if (!zone || zone === browserZone()) return new Date(date);
+    const d = new Date(date.getTime() + zoneOffset(date.getTime(), zone));
+    return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+}
+
+// Wall time in `zone`, given as UTC milliseconds of the same clock reading, -> instant milliseconds. Times skipped
+// by a DST change move forward by the gap; times that occur twice resolve to the first of the two.
+export function wallTimeToInstant(wall, zone) {
+    // DST changes are far more than a day apart, so the offsets a day either side are the only candidates
+    const offsets = [zoneOffset(wall - DAY_MS, zone), zoneOffset(wall + DAY_MS, zone)];
+    const matches = offsets.map(o => wall - o).filter(instant => instant + zoneOffset(instant, zone) === wall);
+    return matches.length ? Math.min(...matches) : wall - Math.min(...offsets);
+}
+
+// Wall-clock Date in `zone` -> instant
+export function fromWallClock(date, zone) {
+    if (!zone || zone === browserZone()) return new Date(date);
+    const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    return new Date(wallTimeToInstant(wall, zone));
+}
+
+// IANA zone names the browser knows, or just the given fallbacks where it cannot list them
+export function listTimeZones(fallbacks) {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [...new Set([...fallbacks, ...zones])].filter(z => z);
+}
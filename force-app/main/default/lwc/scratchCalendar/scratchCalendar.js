@@ -195,6 +195,9 @@ export default class ScratchCalendar extends NavigationMixin(LightningElement) {
         const effectiveStartField = this.selectedStartField || 'CreatedDate';
         let cleanFilters = Array.isArray(this.dynamicFilters) ? this.dynamicFilters.filter(f => f.field && f.value !== '' && f.value !== null) : [];
         
+        const range = this.getVisibleRange();
+        const rangeKey = this.getRangeKey();
+        
         try {
             const data = await getEvents({
                 objectName: this.selectedObject,
@@ -202,8 +205,12 @@ export default class ScratchCalendar extends NavigationMixin(LightningElement) {
                 endField: this.selectedEndField,
                 userField: this.selectedUserField,
                 titleField: this.selectedTitleField,
-                filterJson: JSON.stringify(cleanFilters)
+                filterJson: JSON.stringify(cleanFilters),
+                rangeStart: range.start.toISOString(),
+                rangeEnd: range.end.toISOString()
             });
+            // Ignore responses for a range the user has already navigated away from
+            if (rangeKey !== this.getRangeKey()) return;
 
             this.rawEvents = data.map(record => {
                 let title = (this.selectedTitleField && record[this.selectedTitleField]) ? record[this.selectedTitleField] : (record.Name || record.Id);
@@ -218,11 +225,29 @@ export default class ScratchCalendar extends NavigationMixin(LightningElement) {
             this.renderView();
         } catch (error) {
             console.error(error);
+            if (rangeKey !== this.getRangeKey()) return;
             this.rawEvents = [];
             this.renderView();
         }
     }
 
+    getVisibleRange() {
+        const d = this.currentDate;
+        if (this.currentView === 'month') {
+            return { start: new Date(d.getFullYear(), d.getMonth(), 1), end: new Date(d.getFullYear(), d.getMonth() + 1, 1) };
+        }
+        if (this.currentView === 'week') {
+            const start = new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay());
+            return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+        }
+        return { start: new Date(d.getFullYear(), d.getMonth(), d.getDate()), end: new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1) };
+    }
+
+    getRangeKey() {
+        const { start, end } = this.getVisibleRange();
+        return `${start.toISOString()}|${end.toISOString()}`;
+    }
+
     renderView() {
         if (this.currentView === 'month') this.generateMonthGrid();
         else if (this.currentView === 'week') this.generateWeekGrid();
@@ -365,12 +390,13 @@ export default class ScratchCalendar extends NavigationMixin(LightningElement) {
 
     previous() { this.changeDate(-1); }
     next() { this.changeDate(1); }
-    today() { this.currentDate = new Date(); this.renderView(); }
+    today() { this.currentDate = new Date(); this.renderView(); this.refreshCalendar(); }
     
     // FIX: Using value instead of dataset.view ensures buttons work correctly
     setView(e) { 
         this.currentView = e.target.value; 
         this.renderView(); 
+        this.refreshCalendar();
     }
 
     changeDate(dir) {
@@ -380,6 +406,7 @@ export default class ScratchCalendar extends NavigationMixin(LightningElement) {
         else dt.setDate(dt.getDate() + dir);
         this.currentDate = dt;
         this.renderView(); 
+        this.refreshCalendar();
     }
 
     saveSettings() {